@@ -1,12 +1,39 @@
 /**
  * @name EmbedFixer
- * @version 0.5.0
+ * @version 0.6.0
  * @description Automatically replaces social media links with better embed alternatives
  * @author K33bs
  * @website https://github.com/k33bs/EmbedFixer
  * @updateUrl https://github.com/k33bs/EmbedFixer/blob/main/EmbedFixer.plugin.js
- * @changelogDate 2025-12-09
+ * @changelogDate 2026-10-19
  * @changelog
+ * ## 0.6.0
+ * - Added custom replacement rules - add, edit, reorder and delete your own fixers from the settings panel
+ * - Pick your preferred fixer provider per platform (e.g. fixupx, fxtwitter or vxtwitter for X)
+ * - Smart edit detection now recognizes links from every known provider
+ * - Added per-server, per-channel and DM overrides for every toggle (settings panel and right-click menus)
+ * - Added optional review modal before sending - accept or reject each rewritten link
+ * - Added an optional Undo notice after a message is rewritten (off by default, set a duration to turn it on)
+ * - Added a public API (fixText, registerTransformer) so other plugins and scripts can use the pipeline
+ * - Every processing step is now a transformer in one registry, reorder them in the new Pipeline Order settings
+ * - Added settings import and export as a versioned JSON file, with a clear report of invalid fields
+ * - Added rule list subscriptions (URL or local file) with versioning, expiry and signatures checked against a pinned key
+ * - Added a local Statistics dashboard (today / 7 days / all time) of everything EmbedFixer changed
+ * - Added "Fix Links From Others" - shows previews of fixed links under other people's messages, only on your screen (asks for consent, previews are unfurled by Discord, never fetched from the fixer services)
+ * - Right-click a message to copy it with fixed links, or with fixer links turned back into the original sites
+ * - Added "Fix Links on Paste" - pasted links are fixed in the message box before you send (Shift+paste pastes raw text)
+ * - Start a message with "!raw " to send it untouched, or put "!" right before a link to skip only that link
+ * - Links wrapped in <...> are now only cleaned, not sent to embed fixers or paywall services
+ * - Links are now matched by hostname: old./np./m. Reddit, mobile Twitter, m.instagram.com, threads.com and uppercase hosts work, lookalike hosts don't
+ * - Masked links and ||spoilers|| keep their markdown, and fixed links can optionally show the original link as text
+ * - New Discord markdown tokenizer: double-backtick code, unclosed fences, escapes, mentions, emoji and timestamps are handled, and quotes can be skipped
+ * - Faster processing: links are found once per message and only go through the fixers for their site, messages without links are skipped right away
+ * - Every fixer now agrees on where a link ends: "(see https://youtube.com/shorts/...)." and Wikipedia links with parentheses work
+ * - Links that already use another fixer service (vxtwitter, twittpr, vxreddit, kkinstagram, ...) are switched to your selected provider
+ * - Smart edit detection now works after a restart and on older messages: sent messages are remembered for a week and Discord's copy is used otherwise
+ * - Reverting one link in an edit only keeps that link unfixed, other and newly added links are still fixed
+ * - Links are fixed in upload captions, threads and forum posts too, with patch status in settings
+ * - Hooks use BdApi.Patcher with fallback module lookup and wait for lazily loaded modules, settings show which are active
  * ## 0.5.0
  * - Now also fixes links when editing messages (not just sending)
  * - Smart edit detection: only skips re-fixing if you're reverting a fixed domain back to original (e.g., fixupx.com → twitter.com)
@@ -82,10 +109,22 @@
  */
 
 module.exports = class EmbedFixer {
+	// Public API version (semver). Minor bumps add features, major bumps break the contract.
+	static API_VERSION = "1.3.0";
+
 	constructor() {
 		// Initialize with defaults - actual values loaded in start()
 		this.debugMode = false;
 		this.paywallService = "archive";
+		this.confirmBeforeSend = false;
+		// Undo notice is opt-in, 0 keeps messages going out without a banner
+		this.undoSeconds = 0;
+		this.fixIncomingLinks = false;
+		this.fixOnPaste = false;
+		this.maskFixedLinks = false;
+		this.skipQuotes = false;
+		// Messages starting with this are sent untouched (empty = off)
+		this.rawPrefix = "!raw ";
 
 		// Platform toggles - all enabled by default
 		this.platformToggles = {
@@ -114,7 +153,59 @@ module.exports = class EmbedFixer {
 			steam: true,
 		};
 
+		// Built-in toggle keys, so custom rules can't shadow them
+		this.builtinToggleKeys = Object.keys(this.platformToggles);
+
+		// User-defined replacement rules (pattern-based embedReplacements entries,
+		// with string patterns so they can be persisted)
+		this.customRules = [];
+
+		// Selected fixer provider per platform key (unset = first known provider)
+		this.providerSelections = {};
+
+		// Scoped overrides layered on top of the global settings.
+		// Each layer maps a toggle key (or "paywallService") to its overridden value.
+		this.scopedOverrides = { guilds: {}, channels: {}, dm: {} };
+
+		// Pipeline transformer registry (id -> transformer), built-ins plus any
+		// registered by other plugins through the public API
+		this.transformers = new Map();
+		this.registerBuiltinTransformers();
+
+		// User pipeline order from the settings panel (id -> priority)
+		this.transformerPriorities = {};
+
+		// Rule list subscriptions ({ source, enabled }, source is a URL or "file:<name>")
+		// and the last good copy of each list (source -> { document, fetchedAt, error })
+		this.ruleLists = [];
+		this.ruleListCache = {};
+
+		// Local usage statistics, one bucket per day ("YYYY-MM-DD" -> counters).
+		// Only ever stored through BdApi.Data, never sent anywhere.
+		this.stats = {};
+
+		// Links fixed on paste (channelId -> changes), counted once the message is sent
+		this.pastedChanges = new Map();
+
+		// Sent messages for smart edit detection and undo, least recently used first
+		// ("channelId:messageId" -> { content: what was sent, original: what the user
+		// typed, optedOut, cachedAt }). Kept across restarts through BdApi.Data.
+		this.messageContentCache = new Map();
+
+		// Receive-side previews: messages the user switched back to the original embeds
+		this.showOriginalEmbeds = new Set();
+		// Previews of fixed links from Discord's unfurler (url -> Promise of embed or null)
+		this.unfurlCache = new Map();
+
+		// Hooks installed in start() (id -> { name, state: active, waiting or missing }),
+		// shown in settings
+		this.patchStatus = new Map();
+
+		// "channelId:messageId" of undo edits, passed through editMessage unprocessed
+		this.skipEdits = new Set();
+
 		// Pre-compile tracking params Set for performance (case-insensitive)
+		// compileRegexes() rebuilds it to include rule list params
 		this.trackingParamsSet = new Set(
 			this.getTrackingParams().map((p) => p.toLowerCase())
 		);
@@ -130,168 +221,891 @@ module.exports = class EmbedFixer {
 		BdApi.Data.save("EmbedFixer", "debugMode", this.debugMode);
 		BdApi.Data.save("EmbedFixer", "paywallService", this.paywallService);
 		BdApi.Data.save("EmbedFixer", "platformToggles", this.platformToggles);
+		BdApi.Data.save("EmbedFixer", "confirmBeforeSend", this.confirmBeforeSend);
+		BdApi.Data.save("EmbedFixer", "undoSeconds", this.undoSeconds);
+		BdApi.Data.save("EmbedFixer", "fixIncomingLinks", this.fixIncomingLinks);
+		BdApi.Data.save("EmbedFixer", "fixOnPaste", this.fixOnPaste);
+		BdApi.Data.save("EmbedFixer", "maskFixedLinks", this.maskFixedLinks);
+		BdApi.Data.save("EmbedFixer", "skipQuotes", this.skipQuotes);
+		BdApi.Data.save("EmbedFixer", "rawPrefix", this.rawPrefix);
+		BdApi.Data.save("EmbedFixer", "customRules", this.customRules);
+		BdApi.Data.save(
+			"EmbedFixer",
+			"providerSelections",
+			this.providerSelections
+		);
+		BdApi.Data.save("EmbedFixer", "scopedOverrides", this.scopedOverrides);
+		BdApi.Data.save(
+			"EmbedFixer",
+			"transformerPriorities",
+			this.transformerPriorities
+		);
+		BdApi.Data.save("EmbedFixer", "ruleLists", this.ruleLists);
+		BdApi.Data.save("EmbedFixer", "ruleListCache", this.ruleListCache);
 	}
 
 	loadSettings() {
 		this.debugMode = BdApi.Data.load("EmbedFixer", "debugMode") ?? false;
 		this.paywallService =
 			BdApi.Data.load("EmbedFixer", "paywallService") ?? "archive";
+		this.confirmBeforeSend =
+			BdApi.Data.load("EmbedFixer", "confirmBeforeSend") ?? false;
+		this.undoSeconds = BdApi.Data.load("EmbedFixer", "undoSeconds") ?? 0;
+		this.fixIncomingLinks =
+			BdApi.Data.load("EmbedFixer", "fixIncomingLinks") ?? false;
+		this.fixOnPaste = BdApi.Data.load("EmbedFixer", "fixOnPaste") ?? false;
+		this.maskFixedLinks =
+			BdApi.Data.load("EmbedFixer", "maskFixedLinks") ?? false;
+		this.skipQuotes = BdApi.Data.load("EmbedFixer", "skipQuotes") ?? false;
+		this.rawPrefix = BdApi.Data.load("EmbedFixer", "rawPrefix") ?? "!raw ";
 		const savedToggles = BdApi.Data.load("EmbedFixer", "platformToggles");
 		if (savedToggles) {
 			// Merge with defaults to handle new platforms added in updates
 			this.platformToggles = { ...this.platformToggles, ...savedToggles };
 		}
+		const savedRules = BdApi.Data.load("EmbedFixer", "customRules");
+		if (Array.isArray(savedRules)) {
+			this.customRules = savedRules;
+		}
+		this.providerSelections =
+			BdApi.Data.load("EmbedFixer", "providerSelections") ?? {};
+		const savedOverrides = BdApi.Data.load("EmbedFixer", "scopedOverrides");
+		if (savedOverrides) {
+			this.scopedOverrides = { ...this.scopedOverrides, ...savedOverrides };
+		}
+		this.transformerPriorities =
+			BdApi.Data.load("EmbedFixer", "transformerPriorities") ?? {};
+		const savedLists = BdApi.Data.load("EmbedFixer", "ruleLists");
+		if (Array.isArray(savedLists)) {
+			this.ruleLists = savedLists;
+		}
+		this.ruleListCache = BdApi.Data.load("EmbedFixer", "ruleListCache") ?? {};
+		this.stats = BdApi.Data.load("EmbedFixer", "stats") ?? {};
+		const savedMessages = BdApi.Data.load("EmbedFixer", "messageContentCache");
+		this.messageContentCache = new Map(
+			Array.isArray(savedMessages) ? savedMessages : []
+		);
+		this.pruneMessageCache();
+	}
+
+	saveStats() {
+		BdApi.Data.save("EmbedFixer", "stats", this.stats);
+	}
+
+	// Local date key for a stats bucket
+	getStatsDay(date = new Date()) {
+		const pad = (n) => String(n).padStart(2, "0");
+		return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+			date.getDate()
+		)}`;
+	}
+
+	// Count what a processed message changed into today's bucket
+	recordStats(changes) {
+		if (changes.length === 0) return;
+
+		const day = this.getStatsDay();
+		const bucket = (this.stats[day] ??= {
+			platforms: {},
+			trackingParams: {},
+			ampLinks: 0,
+			amazonClean: 0,
+			paywall: 0,
+			songLink: 0,
+		});
+		const paramNames = (url) =>
+			[...url.matchAll(/[?&]([^=&#\s]+)/g)].map(([, name]) => name);
+
+		for (const { steps } of changes) {
+			for (const step of steps) {
+				switch (step.id) {
+					case "trackingParams": {
+						const kept = new Set(paramNames(step.after));
+						for (const name of paramNames(step.before)) {
+							if (kept.has(name)) continue;
+							bucket.trackingParams[name] =
+								(bucket.trackingParams[name] ?? 0) + 1;
+						}
+						break;
+					}
+					case "embeds":
+					case "youtubeShorts": {
+						const key = step.ruleKey ?? step.id;
+						bucket.platforms[key] = (bucket.platforms[key] ?? 0) + 1;
+						break;
+					}
+					case "ampLinks":
+					case "amazonClean":
+					case "paywall":
+					case "songLink":
+						bucket[step.id]++;
+						break;
+				}
+			}
+		}
+		this.saveStats();
+	}
+
+	// Sum the daily buckets of the last `days` days (including today), all time if omitted
+	getStats(days) {
+		const totals = {
+			platforms: {},
+			trackingParams: {},
+			ampLinks: 0,
+			amazonClean: 0,
+			paywall: 0,
+			songLink: 0,
+		};
+		let since = null;
+		if (days) {
+			const start = new Date();
+			start.setDate(start.getDate() - (days - 1));
+			since = this.getStatsDay(start);
+		}
+
+		for (const [day, bucket] of Object.entries(this.stats)) {
+			// Day keys sort lexicographically
+			if (since && day < since) continue;
+			for (const group of ["platforms", "trackingParams"]) {
+				for (const [key, count] of Object.entries(bucket[group] ?? {})) {
+					totals[group][key] = (totals[group][key] ?? 0) + count;
+				}
+			}
+			for (const key of ["ampLinks", "amazonClean", "paywall", "songLink"]) {
+				totals[key] += bucket[key] ?? 0;
+			}
+		}
+		return totals;
+	}
+
+	resetStats() {
+		this.stats = {};
+		this.saveStats();
+	}
+
+	// Build a versioned settings document for export
+	exportSettings() {
+		return {
+			format: "EmbedFixer-settings",
+			version: 1,
+			exportedAt: new Date().toISOString(),
+			settings: {
+				debugMode: this.debugMode,
+				paywallService: this.paywallService,
+				confirmBeforeSend: this.confirmBeforeSend,
+				undoSeconds: this.undoSeconds,
+				fixIncomingLinks: this.fixIncomingLinks,
+				fixOnPaste: this.fixOnPaste,
+				maskFixedLinks: this.maskFixedLinks,
+				skipQuotes: this.skipQuotes,
+				rawPrefix: this.rawPrefix,
+				platformToggles: this.platformToggles,
+				providerSelections: this.providerSelections,
+				customRules: this.customRules,
+				scopedOverrides: this.scopedOverrides,
+				transformerPriorities: this.transformerPriorities,
+				ruleLists: this.ruleLists,
+			},
+		};
+	}
+
+	// Check a settings document against the schema, returns a list of problems
+	// (empty = valid). Every settings field is optional, missing ones are left as is.
+	validateSettingsDocument(doc) {
+		const errors = [];
+		const isObject = (value) =>
+			value !== null && typeof value === "object" && !Array.isArray(value);
+
+		if (!isObject(doc)) return ["Document must be a JSON object"];
+		if (doc.format !== "EmbedFixer-settings") {
+			errors.push('format: must be "EmbedFixer-settings"');
+		}
+		if (!Number.isInteger(doc.version) || doc.version < 1) {
+			errors.push("version: must be a positive whole number");
+		} else if (doc.version > 1) {
+			errors.push(
+				`version: ${doc.version} is newer than this plugin supports (1), update EmbedFixer first`
+			);
+		}
+		if (!isObject(doc.settings)) {
+			errors.push("settings: must be an object");
+			return errors;
+		}
+
+		const settings = doc.settings;
+		if (!this.embedReplacements) this.compileRegexes();
+		const services = this.getPaywallServices().map(({ value }) => value);
+		const customRules = Array.isArray(settings.customRules)
+			? settings.customRules
+			: this.customRules;
+		const toggleKeys = [
+			...this.builtinToggleKeys,
+			...customRules.map((rule) => rule?.key),
+			...this.getRuleListData().replacements.map((rule) => rule.key),
+			...this.getRegisteredToggles().map(([key]) => key),
+		];
+
+		for (const key of [
+			"debugMode",
+			"confirmBeforeSend",
+			"fixIncomingLinks",
+			"fixOnPaste",
+			"maskFixedLinks",
+			"skipQuotes",
+		]) {
+			if (key in settings && typeof settings[key] !== "boolean") {
+				errors.push(`settings.${key}: must be true or false`);
+			}
+		}
+		if (
+			"paywallService" in settings &&
+			!services.includes(settings.paywallService)
+		) {
+			errors.push(
+				`settings.paywallService: must be one of ${services.join(", ")}`
+			);
+		}
+		if (
+			"undoSeconds" in settings &&
+			(!Number.isInteger(settings.undoSeconds) ||
+				settings.undoSeconds < 0 ||
+				settings.undoSeconds > 60)
+		) {
+			errors.push("settings.undoSeconds: must be a whole number from 0 to 60");
+		}
+		if (
+			"rawPrefix" in settings &&
+			(typeof settings.rawPrefix !== "string" || settings.rawPrefix.length > 20)
+		) {
+			errors.push("settings.rawPrefix: must be text of at most 20 characters");
+		}
+
+		// A layer of toggle values, used by platformToggles and scoped overrides
+		const validateLayer = (layer, path, allowPaywall) => {
+			if (!isObject(layer)) {
+				errors.push(`${path}: must be an object`);
+				return;
+			}
+			for (const [key, value] of Object.entries(layer)) {
+				if (allowPaywall && key === "paywallService") {
+					if (!services.includes(value)) {
+						errors.push(
+							`${path}.paywallService: must be one of ${services.join(", ")}`
+						);
+					}
+				} else if (!toggleKeys.includes(key)) {
+					errors.push(`${path}.${key}: unknown toggle`);
+				} else if (typeof value !== "boolean") {
+					errors.push(`${path}.${key}: must be true or false`);
+				}
+			}
+		};
+
+		if ("platformToggles" in settings) {
+			validateLayer(
+				settings.platformToggles,
+				"settings.platformToggles",
+				false
+			);
+		}
+
+		if ("providerSelections" in settings) {
+			if (!isObject(settings.providerSelections)) {
+				errors.push("settings.providerSelections: must be an object");
+			} else {
+				for (const [key, provider] of Object.entries(
+					settings.providerSelections
+				)) {
+					const entry = this.embedReplacements.find(
+						(e) => e.key === key && e.providers
+					);
+					if (!entry) {
+						errors.push(`settings.providerSelections.${key}: unknown platform`);
+					} else if (!entry.providers.includes(provider)) {
+						errors.push(
+							`settings.providerSelections.${key}: must be one of ${entry.providers.join(
+								", "
+							)}`
+						);
+					}
+				}
+			}
+		}
+
+		if ("customRules" in settings) {
+			if (!Array.isArray(settings.customRules)) {
+				errors.push("settings.customRules: must be a list");
+			} else {
+				settings.customRules.forEach((rule, index) => {
+					const ruleErrors = this.validateCustomRule(
+						rule,
+						settings.customRules.slice(0, index)
+					);
+					ruleErrors.forEach((error) =>
+						errors.push(`settings.customRules[${index}]: ${error}`)
+					);
+				});
+			}
+		}
+
+		if ("scopedOverrides" in settings) {
+			const overrides = settings.scopedOverrides;
+			if (!isObject(overrides)) {
+				errors.push("settings.scopedOverrides: must be an object");
+			} else {
+				for (const bucket of ["guilds", "channels"]) {
+					if (!(bucket in overrides)) continue;
+					if (!isObject(overrides[bucket])) {
+						errors.push(
+							`settings.scopedOverrides.${bucket}: must be an object`
+						);
+						continue;
+					}
+					for (const [id, layer] of Object.entries(overrides[bucket])) {
+						const path = `settings.scopedOverrides.${bucket}.${id}`;
+						if (!/^\d+$/.test(id)) {
+							errors.push(`${path}: ID must be numeric`);
+						}
+						validateLayer(layer, path, true);
+					}
+				}
+				if ("dm" in overrides) {
+					validateLayer(overrides.dm, "settings.scopedOverrides.dm", true);
+				}
+			}
+		}
+
+		if ("transformerPriorities" in settings) {
+			if (!isObject(settings.transformerPriorities)) {
+				errors.push("settings.transformerPriorities: must be an object");
+			} else {
+				for (const [id, priority] of Object.entries(
+					settings.transformerPriorities
+				)) {
+					if (!Number.isFinite(priority)) {
+						errors.push(
+							`settings.transformerPriorities.${id}: must be a number`
+						);
+					}
+				}
+			}
+		}
+
+		if ("ruleLists" in settings) {
+			if (!Array.isArray(settings.ruleLists)) {
+				errors.push("settings.ruleLists: must be a list");
+			} else {
+				settings.ruleLists.forEach((subscription, index) => {
+					const path = `settings.ruleLists[${index}]`;
+					if (!isObject(subscription)) {
+						errors.push(`${path}: must be an object`);
+						return;
+					}
+					if (
+						typeof subscription.source !== "string" ||
+						!/^(?:https:\/\/|file:)\S+$/.test(subscription.source)
+					) {
+						errors.push(
+							`${path}.source: must be an https:// URL or file:<name>`
+						);
+					}
+					if (typeof subscription.enabled !== "boolean") {
+						errors.push(`${path}.enabled: must be true or false`);
+					}
+					if (
+						subscription.publicKey !== undefined &&
+						(typeof subscription.publicKey !== "string" ||
+							!/^[A-Za-z0-9+/]+={0,2}$/.test(subscription.publicKey))
+					) {
+						errors.push(`${path}.publicKey: must be a base64 public key`);
+					}
+				});
+			}
+		}
+
+		return errors;
+	}
+
+	// Apply a settings document. Nothing changes unless the whole document is valid.
+	importSettings(doc) {
+		const errors = this.validateSettingsDocument(doc);
+		if (errors.length > 0) return errors;
+
+		const { settings } = doc;
+		for (const key of [
+			"debugMode",
+			"paywallService",
+			"confirmBeforeSend",
+			"undoSeconds",
+			"fixIncomingLinks",
+			"fixOnPaste",
+			"maskFixedLinks",
+			"skipQuotes",
+			"rawPrefix",
+			"providerSelections",
+			"customRules",
+			"transformerPriorities",
+			"ruleLists",
+		]) {
+			if (key in settings) this[key] = settings[key];
+		}
+		if ("platformToggles" in settings) {
+			this.platformToggles = {
+				...this.platformToggles,
+				...settings.platformToggles,
+			};
+		}
+		if ("scopedOverrides" in settings) {
+			this.scopedOverrides = {
+				guilds: {},
+				channels: {},
+				dm: {},
+				...settings.scopedOverrides,
+			};
+		}
+
+		this.compileRegexes();
+		this.saveSettings();
+		this.log("imported settings");
+		// Fetch lists we don't have a cached copy of yet
+		if ("ruleLists" in settings) this.refreshRuleLists();
+		return [];
+	}
+
+	// Override layers that apply to a channel, least specific first:
+	// guild (or all DMs), the parent channel of a thread or forum post, then the
+	// channel itself
+	getOverrideLayers(channelId) {
+		const layers = [];
+		if (!channelId) return layers;
+
+		const channel = this.ChannelStore?.getChannel(channelId);
+		if (channel) {
+			if (channel.guild_id) {
+				layers.push(this.scopedOverrides.guilds[channel.guild_id]);
+			} else {
+				layers.push(this.scopedOverrides.dm);
+			}
+			// Announcement, public and private threads (10-12). Other channels' parent
+			// is their category, which has no overrides.
+			if (channel.parent_id && [10, 11, 12].includes(channel.type)) {
+				layers.push(this.scopedOverrides.channels[channel.parent_id]);
+			}
+		}
+		layers.push(this.scopedOverrides.channels[channelId]);
+		return layers.filter(Boolean);
+	}
+
+	// Resolve the effective toggles and paywall service for a channel (global
+	// settings, then guild or DM, parent channel (threads) and channel overrides)
+	resolveSettings(channelId) {
+		const toggles = { ...this.platformToggles };
+		let paywallService = this.paywallService;
+
+		for (const layer of this.getOverrideLayers(channelId)) {
+			for (const [key, value] of Object.entries(layer)) {
+				if (key === "paywallService") {
+					paywallService = value;
+				} else {
+					toggles[key] = value;
+				}
+			}
+		}
+
+		return { toggles, paywallService };
+	}
+
+	// Get the override layer for a scope ({ type: "guild" | "channel" | "dm", id })
+	getScopeOverrides(scope) {
+		if (scope.type === "dm") return this.scopedOverrides.dm;
+		const bucket =
+			scope.type === "guild"
+				? this.scopedOverrides.guilds
+				: this.scopedOverrides.channels;
+		return bucket[scope.id] ?? {};
+	}
+
+	// Set (or clear, with value undefined) a single override for a scope
+	setScopeOverride(scope, key, value) {
+		const overrides = { ...this.getScopeOverrides(scope) };
+		if (value === undefined) {
+			delete overrides[key];
+		} else {
+			overrides[key] = value;
+		}
+
+		if (scope.type === "dm") {
+			this.scopedOverrides.dm = overrides;
+		} else {
+			const bucket =
+				scope.type === "guild"
+					? this.scopedOverrides.guilds
+					: this.scopedOverrides.channels;
+			if (Object.keys(overrides).length > 0) {
+				bucket[scope.id] = overrides;
+			} else {
+				delete bucket[scope.id];
+			}
+		}
+		this.saveSettings();
+	}
+
+	// Remove every override of a scope
+	clearScopeOverrides(scope) {
+		for (const key of Object.keys(this.getScopeOverrides(scope))) {
+			this.setScopeOverride(scope, key, undefined);
+		}
+	}
+
+	// Toggle keys grouped the same way as the settings panel, used by override menus
+	getToggleGroups() {
+		const groups = [
+			{
+				name: "URL Cleaning",
+				toggles: [
+					["trackingParams", "Strip Tracking Parameters"],
+					["ampLinks", "Remove AMP Links"],
+					["amazonClean", "Clean Amazon Links"],
+				],
+			},
+			{
+				name: "Social Media Embed Fixers",
+				toggles: [
+					["twitter", "X/Twitter"],
+					["reddit", "Reddit"],
+					["tiktok", "TikTok"],
+					["instagram", "Instagram"],
+					["bluesky", "Bluesky"],
+					["threads", "Threads"],
+					["pixiv", "Pixiv"],
+					["twitch", "Twitch Clips"],
+					["tumblr", "Tumblr"],
+					["deviantart", "DeviantArt"],
+				],
+			},
+			{
+				name: "Media & Content",
+				toggles: [
+					["giphy", "Giphy"],
+					["imgur", "Imgur"],
+					["gist", "GitHub Gists"],
+					["pastebin", "Pastebin"],
+					["youtubeShorts", "YouTube Shorts"],
+					["steam", "Steam Store"],
+				],
+			},
+			{
+				name: "Special Features",
+				toggles: [
+					["medium", "Medium/Scribe"],
+					["paywall", "Paywall Bypass"],
+					["fourchan", "4chan"],
+					["songLink", "Song.link"],
+				],
+			},
+		];
+
+		if (this.customRules.length > 0) {
+			groups.push({
+				name: "Custom Rules",
+				toggles: this.customRules.map((rule) => [rule.key, rule.name]),
+			});
+		}
+
+		const listRules = this.getRuleListData().replacements;
+		if (listRules.length > 0) {
+			groups.push({
+				name: "Rule Lists",
+				toggles: listRules.map((rule) => [rule.key, rule.name]),
+			});
+		}
+
+		const registered = this.getRegisteredToggles();
+		if (registered.length > 0) {
+			groups.push({ name: "Other Plugins", toggles: registered });
+		}
+
+		return groups;
 	}
 
 	// Pre-compile expensive regexes once at startup
 	compileRegexes() {
+		// Host lists below may change, rebuild the transformer index on next use
+		this.hostIndex = null;
+
+		// Entries from subscribed rule lists are merged into the built-in data below
+		const listData = this.getRuleListData();
+
 		// Central embed replacements config - single source of truth
-		// Each entry has: toggle key, pattern, replacement, name, original domains (for revert detection)
+		// Built-in entries are matched by parsed hostname: hosts lists every alias of the
+		// platform (the first one is canonical) and doubles as the original domains for
+		// revert detection. rewrite(path) gets everything after the host and returns the
+		// fixed link, or null if the link isn't supported.
+		// Domain-swap fixers list their known providers instead; the first one is the default.
+		// otherProviders are fixer services that can't be picked, links on them (and on
+		// unselected providers) are switched to the selected provider.
+		// Fixers that rewrite the path have a restore(link) turning a fixed link back
+		const rewritePath = (regex, replacement) => (path) =>
+			regex.test(path) ? path.replace(regex, replacement) : null;
 		this.embedReplacements = [
 			{
 				key: "twitter",
-				pattern: /https?:\/\/(?:www\.)?(?:x|twitter)\.com/gi,
-				replacement: "https://fixupx.com",
 				name: "X/Twitter",
-				originals: ["twitter.com", "x.com"],
-				fixed: "fixupx.com",
+				hosts: [
+					"twitter.com",
+					"x.com",
+					"www.twitter.com",
+					"www.x.com",
+					"mobile.twitter.com",
+					"mobile.x.com",
+				],
+				providers: [
+					"fixupx.com",
+					"fxtwitter.com",
+					"vxtwitter.com",
+					"fixvx.com",
+				],
+				otherProviders: ["twittpr.com"],
 			},
 			{
 				key: "reddit",
-				pattern: /https?:\/\/(?:www\.)?reddit\.com/gi,
-				replacement: "https://rxddit.com",
 				name: "Reddit",
-				originals: ["reddit.com"],
-				fixed: "rxddit.com",
+				hosts: [
+					"reddit.com",
+					"www.reddit.com",
+					"old.reddit.com",
+					"new.reddit.com",
+					"np.reddit.com",
+					"m.reddit.com",
+				],
+				providers: ["rxddit.com", "vxreddit.com"],
 			},
 			{
 				key: "tiktok",
-				pattern: /https?:\/\/(?:(?:www|m|vm|vt)\.)?tiktok\.com/gi,
-				replacement: "https://tnktok.com",
 				name: "TikTok",
-				originals: ["tiktok.com"],
-				fixed: "tnktok.com",
+				hosts: [
+					"tiktok.com",
+					"www.tiktok.com",
+					"m.tiktok.com",
+					"vm.tiktok.com",
+					"vt.tiktok.com",
+				],
+				providers: ["tnktok.com", "vxtiktok.com"],
+				otherProviders: ["tiktxk.com"],
 			},
 			{
 				key: "instagram",
-				pattern: /https?:\/\/(?:www\.)?instagram\.com/gi,
-				replacement: "https://ddinstagram.com",
 				name: "Instagram",
-				originals: ["instagram.com"],
-				fixed: "ddinstagram.com",
+				hosts: ["instagram.com", "www.instagram.com", "m.instagram.com"],
+				providers: ["ddinstagram.com", "kkinstagram.com", "instagramez.com"],
 			},
 			{
 				key: "bluesky",
-				pattern: /https?:\/\/(?:www\.)?bsky\.app/gi,
-				replacement: "https://bsyy.app",
 				name: "Bluesky",
-				originals: ["bsky.app"],
-				fixed: "bsyy.app",
+				hosts: ["bsky.app", "www.bsky.app"],
+				providers: ["bsyy.app", "fxbsky.app", "bskx.app"],
+				otherProviders: ["vxbsky.app"],
 			},
 			{
 				key: "threads",
-				pattern: /https?:\/\/(?:www\.)?threads\.net/gi,
-				replacement: "https://fixthreads.net",
 				name: "Threads",
-				originals: ["threads.net"],
-				fixed: "fixthreads.net",
+				hosts: [
+					"threads.net",
+					"www.threads.net",
+					"threads.com",
+					"www.threads.com",
+				],
+				providers: ["fixthreads.net", "vxthreads.net"],
 			},
 			{
 				key: "pixiv",
-				pattern: /https?:\/\/(?:www\.)?pixiv\.net/gi,
-				replacement: "https://phixiv.net",
 				name: "Pixiv",
-				originals: ["pixiv.net"],
-				fixed: "phixiv.net",
+				hosts: ["pixiv.net", "www.pixiv.net"],
+				providers: ["phixiv.net", "ppxiv.net"],
 			},
 			{
 				key: "twitch",
-				pattern: /https?:\/\/(?:www\.)?clips\.twitch\.tv/gi,
-				replacement: "https://clips.fxtwitch.tv",
 				name: "Twitch Clips",
-				originals: ["clips.twitch.tv"],
-				fixed: "clips.fxtwitch.tv",
+				hosts: ["clips.twitch.tv", "www.clips.twitch.tv"],
+				providers: ["clips.fxtwitch.tv"],
 			},
 			{
 				key: "medium",
-				pattern: /https?:\/\/(?:www\.)?medium\.com/gi,
-				replacement: "https://scribe.rip",
 				name: "Medium",
-				originals: ["medium.com"],
-				fixed: "scribe.rip",
+				hosts: ["medium.com", "www.medium.com"],
+				providers: ["scribe.rip"],
 			},
 			{
 				key: "tumblr",
-				pattern: /https?:\/\/(?:www\.)?tumblr\.com/gi,
-				replacement: "https://tpmblr.com",
 				name: "Tumblr",
-				originals: ["tumblr.com"],
-				fixed: "tpmblr.com",
+				hosts: ["tumblr.com", "www.tumblr.com"],
+				providers: ["tpmblr.com"],
 			},
 			{
 				key: "deviantart",
-				pattern: /https?:\/\/(?:www\.)?deviantart\.com/gi,
-				replacement: "https://fixdeviantart.com",
 				name: "DeviantArt",
-				originals: ["deviantart.com"],
-				fixed: "fixdeviantart.com",
+				hosts: ["deviantart.com", "www.deviantart.com"],
+				providers: ["fixdeviantart.com"],
 			},
 			{
 				key: "fourchan",
-				pattern: /https?:\/\/boards\.4chan\.org/gi,
-				replacement: "https://boards.4channel.org",
 				name: "4chan",
-				originals: ["boards.4chan.org"],
-				fixed: "boards.4channel.org",
+				hosts: ["boards.4chan.org"],
+				providers: ["boards.4channel.org"],
 			},
 			{
 				key: "giphy",
-				pattern:
-					/https?:\/\/(?:www\.)?giphy\.com\/gifs\/(?:[\w-]+-)?([a-zA-Z0-9]{8,20})(?:\/?(?=\s|$)|\/?$)/gi,
-				replacement: (match, gifId) =>
-					`https://media.giphy.com/media/${gifId}/giphy.gif`,
 				name: "Giphy",
-				originals: ["giphy.com/gifs"],
+				hosts: ["giphy.com", "www.giphy.com"],
+				rewrite: rewritePath(
+					/^\/gifs\/(?:[\w-]+-)?([a-zA-Z0-9]{8,20})\/?$/,
+					"https://media.giphy.com/media/$1/giphy.gif"
+				),
 				fixed: "media.giphy.com/media",
+				restore: (link) =>
+					link.replace(
+						/https?:\/\/media\.giphy\.com\/media\/(\w+)\/giphy\.gif/gi,
+						"https://giphy.com/gifs/$1"
+					),
 			},
 			{
 				key: "gist",
-				pattern:
-					/https?:\/\/gist\.github\.com\/([a-zA-Z0-9-]+)\/([a-fA-F0-9]+)(?:\/[\w-]+)?(?:#.*)?/gi,
-				replacement: "https://gist.githubusercontent.com/$1/$2/raw",
 				name: "GitHub Gist",
-				originals: ["gist.github.com"],
+				hosts: ["gist.github.com"],
+				rewrite: rewritePath(
+					/^\/([a-zA-Z0-9-]+)\/([a-fA-F0-9]+)(?:\/[\w-]+)?(?:#.*)?/,
+					"https://gist.githubusercontent.com/$1/$2/raw"
+				),
 				fixed: "gist.githubusercontent.com",
+				restore: (link) =>
+					link.replace(
+						/https?:\/\/gist\.githubusercontent\.com\/([\w-]+\/[a-f0-9]+)\/raw\b/gi,
+						"https://gist.github.com/$1"
+					),
 			},
 			{
 				key: "pastebin",
-				pattern: /https?:\/\/(?:www\.)?pastebin\.com\/(?!raw\/)([\w]+)/gi,
-				replacement: "https://pastebin.com/raw/$1",
 				name: "Pastebin",
-				originals: [], // No revert detection - same domain
+				// Same host when fixed, so reverting can't be told apart from fixing
+				hosts: ["pastebin.com", "www.pastebin.com"],
+				rewrite: rewritePath(
+					/^\/(?!raw\/)(\w+)/,
+					"https://pastebin.com/raw/$1"
+				),
 				fixed: "pastebin.com/raw",
+				restore: (link) =>
+					link.replace(
+						/(https?:\/\/(?:www\.)?pastebin\.com)\/raw\/(\w+)/gi,
+						"$1/$2"
+					),
 			},
 			{
 				key: "imgur",
-				pattern:
-					/(https?:\/\/)(?:www\.)?imgur\.com\/(?!a\/|gallery\/)([\w]+)(?:\.(\w+))?/gi,
-				replacement: (match, _proto, id, ext) =>
-					"https://i.imgur.com/" + id + (ext ? "." + ext : ".png"),
 				name: "Imgur",
-				originals: ["imgur.com"],
+				hosts: ["imgur.com", "www.imgur.com", "m.imgur.com"],
+				rewrite: (path) => {
+					const match = /^\/(?!a\/|gallery\/)(\w+)(?:\.(\w+))?/.exec(path);
+					if (!match) return null;
+					const [whole, id, ext] = match;
+					return `https://i.imgur.com/${id}.${ext ?? "png"}${path.slice(
+						whole.length
+					)}`;
+				},
 				fixed: "i.imgur.com",
+				restore: (link) =>
+					link.replace(
+						/https?:\/\/i\.imgur\.com\/(\w+)\.\w+/gi,
+						"https://imgur.com/$1"
+					),
 			},
 			{
 				key: "steam",
-				pattern:
-					/https?:\/\/store\.steampowered\.com\/app\/(\d+)(?:\/[^\s]*)?/gi,
-				replacement: (match, appId) => `https://steamdb.info/app/${appId}/`,
 				name: "Steam Store",
-				originals: ["store.steampowered.com/app"],
+				hosts: ["store.steampowered.com"],
+				rewrite: rewritePath(
+					/^\/app\/(\d+)(?:\/\S*)?/,
+					"https://steamdb.info/app/$1/"
+				),
 				fixed: "steamdb.info/app",
+				restore: (link) =>
+					link.replace(
+						/https?:\/\/steamdb\.info\/app\/(\d+)\/?/gi,
+						"https://store.steampowered.com/app/$1/"
+					),
 			},
 		];
 
+		// Resolve the selected provider for each fixer (falls back to the default
+		// if a saved provider was removed in an update)
+		for (const entry of this.embedReplacements) {
+			entry.originals = entry.hosts;
+			if (entry.providers) {
+				const selected = this.providerSelections[entry.key];
+				const provider = entry.providers.includes(selected)
+					? selected
+					: entry.providers[0];
+				entry.rewrite = (path) => `https://${provider}${path}`;
+				entry.fixed = provider;
+				entry.fixedDomains = [
+					...entry.providers,
+					...(entry.otherProviders ?? []),
+				];
+			} else {
+				entry.fixedDomains = [entry.fixed];
+			}
+		}
+
+		// Custom rules (then rule list entries) run before the built-ins so a
+		// user rule for the same host wins
+		this.embedReplacements.unshift(
+			...this.compileCustomRules([
+				...this.customRules,
+				...listData.replacements,
+			])
+		);
+
+		// Tracking params Set (case-insensitive), including rule list params
+		this.trackingParamsSet = new Set(
+			[...this.getTrackingParams(), ...listData.trackingParams].map((p) =>
+				p.toLowerCase()
+			)
+		);
+
+		// Built-in fixers by host, custom rules are tried in order on every link
+		this.replacementsByHost = new Map();
+		this.patternReplacements = [];
+		for (const entry of this.embedReplacements) {
+			if (!entry.hosts) {
+				this.patternReplacements.push(entry);
+				continue;
+			}
+			for (const host of entry.hosts) {
+				if (!this.replacementsByHost.has(host)) {
+					this.replacementsByHost.set(host, entry);
+				}
+			}
+		}
+
+		// Fixer services by host, for switching them to the selected provider
+		this.fixersByHost = new Map();
+		for (const entry of this.embedReplacements) {
+			if (!entry.providers) continue;
+			for (const domain of entry.fixedDomains) {
+				this.fixersByHost.set(domain, entry);
+				this.fixersByHost.set(`www.${domain}`, entry);
+			}
+		}
+
+		// Never rewrite a URL nested inside another one (e.g. an archive.is wrapper
+		// when paywall bypass runs before the embed fixers)
+		for (const entry of this.embedReplacements) {
+			if (!entry.pattern) continue;
+			entry.pattern = new RegExp(
+				`(?<![/=])${entry.pattern.source}`,
+				entry.pattern.flags
+			);
+		}
+
 		// AMP domains whitelist
 		this.ampDomains = [
 			"cnn",
@@ -332,6 +1146,9 @@ module.exports = class EmbedFixer {
 			"cnet",
 			"zdnet",
 		];
+		this.ampDomains = [
+			...new Set([...this.ampDomains, ...listData.ampDomains]),
+		];
 		const ampDomainsPattern = this.ampDomains.join("|");
 		this.ampSubdomainRegex = new RegExp(
 			`https?:\\/\\/amp\\.((?:${ampDomainsPattern})\\.\\w+)(\\/[^\\s]*)?`,
@@ -393,14 +1210,24 @@ module.exports = class EmbedFixer {
 			"medium.com",
 			"substack.com",
 		];
-		const domainPattern = this.paywalledDomains
-			.map((d) => d.replace(/\./g, "\\."))
-			.join("|");
-		this.paywallRegex = new RegExp(
-			`(https?:\\/\\/(?:[\\w-]+\\.)?(?:${domainPattern})\\/[^\\s]+?)((?:[\\.,!\\?\\)\\]\\}>\\\"]|&amp;)+)?(?=\\s|$)`,
-			"gi"
+		this.paywalledDomains = [
+			...new Set([...this.paywalledDomains, ...listData.paywallDomains]),
+		];
+		this.paywalledHosts = new Set(
+			this.paywalledDomains.map((domain) => domain.toLowerCase())
 		);
 
+		// Hosts the song.link and Amazon steps look at (subdomains included)
+		this.musicDomains = [
+			"open.spotify.com",
+			"music.apple.com",
+			"music.youtube.com",
+			"tidal.com",
+			"deezer.com",
+			"music.amazon.com",
+			"soundcloud.com",
+		];
+
 		// Music patterns for song.link
 		this.musicPatterns = [
 			/https?:\/\/open\.spotify\.com\/(track|album|playlist|artist)\/([a-zA-Z0-9]+)(\?[^\s]*)?/gi,
@@ -412,16 +1239,10 @@ module.exports = class EmbedFixer {
 			/https?:\/\/soundcloud\.com\/[a-zA-Z0-9_-]+\/[a-zA-Z0-9_-]+(?:\?[^\s]*)?/gi,
 		];
 
-		// URL regex for tracking param stripping
-		this.urlRegex = /(https?:\/\/[^\s<>\[\]()]+)/gi;
-
 		// YouTube Shorts pattern
 		this.ytShortsPattern =
 			/https?:\/\/(?:(?:www|m)\.)?youtube\.com\/shorts\/([a-zA-Z0-9_-]{5,})(\?[^\s]*)?/gi;
 
-		// Trailing punctuation pattern (used in multiple methods)
-		this.trailingPunctRegex = /([.,!?)\]}>]+)$/;
-
 		// Amazon product URL patterns
 		this.amazonProductRegex =
 			/(https?:\/\/(?:www\.)?amazon\.(?:com|co\.uk|de|fr|it|es|ca|com\.au|co\.jp|in|com\.br|com\.mx|nl|se|pl|sg|ae|sa|eg|tr))\/(.*?\/)?(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?:\/[^\s]*)?/gi;
@@ -436,189 +1257,2346 @@ module.exports = class EmbedFixer {
 		this.bingAmpRegex = /https?:\/\/(?:www\.)?bing\.com\/amp\/s\/([^\s]+)/gi;
 		this.ampPathRegex = /(https?:\/\/[^\s\/]+)\/amp(\/[^\s]*)?/gi;
 
-		// Code block tokenization pattern
+		// Simple code block split, messages go through tokenizeMarkdown() instead
 		this.codeBlockRegex = /(```[\s\S]*?```|`[^`]*`)/g;
 	}
 
-	start() {
-		this.loadSettings();
-		this.compileRegexes();
-		this.log("plugin started");
-
-		// safely get the message module using the recommended getByKeys method
-		const messageModule = BdApi.Webpack.getByKeys("sendMessage", "editMessage");
-		if (!messageModule || !messageModule.sendMessage) {
-			BdApi.UI.showToast("EmbedFixer: Failed to find sendMessage module", {
-				type: "error",
-			});
-			console.error("[EmbedFixer] Could not find sendMessage module");
-			return;
+	// Merge the cached documents of every enabled rule list. Documents cached by
+	// older versions (other format, no signing key) are ignored until refreshed.
+	getRuleListData() {
+		const data = {
+			replacements: [],
+			trackingParams: [],
+			paywallDomains: [],
+			ampDomains: [],
+		};
+		for (const { source, enabled, publicKey } of this.ruleLists) {
+			if (!enabled) continue;
+			const document = this.ruleListCache[source]?.document;
+			if (!document || this.validateRuleList(document).length > 0) continue;
+			if (!source.startsWith("file:") && !publicKey) continue;
+			for (const key of Object.keys(data)) {
+				const entries = document.rules[key] ?? [];
+				data[key].push(
+					...(key === "replacements"
+						? entries.map((rule) => this.hostSwapToCustomRule(rule, document))
+						: entries)
+				);
+			}
 		}
+		return data;
+	}
 
-		this.originalSendMessage = messageModule.sendMessage;
-		this.originalEditMessage = messageModule.editMessage;
-
-		// Helper to process message content - tokenizes once and processes all
-		const processContent = (text) => {
-			if (typeof text !== "string") return text;
-
-			// Tokenize once: split by code blocks and inline code
-			this.codeBlockRegex.lastIndex = 0;
-			const parts = text.split(this.codeBlockRegex);
-
-			const processedParts = parts.map((part) => {
-				// Skip code blocks (they start with backtick)
-				if (part.startsWith("`")) return part;
-
-				let processed = part;
-
-				// Strip tracking parameters first (cleanest URLs)
-				if (this.platformToggles.trackingParams) {
-					processed = this.stripTrackingParams(processed);
-				}
-
-				// Remove AMP wrappers
-				if (this.platformToggles.ampLinks) {
-					processed = this.removeAmpLinks(processed);
-				}
-
-				// Clean Amazon links
-				if (this.platformToggles.amazonClean) {
-					processed = this.cleanAmazonLinks(processed);
-				}
+	// List replacements only swap hosts, built into a custom rule with a safe pattern
+	hostSwapToCustomRule({ key, name, hosts, fixed }, document) {
+		const escaped = hosts.map((host) => host.replace(/\./g, "\\."));
+		return {
+			key,
+			name,
+			// Whole hosts only, example.com must not match example.com.evil.example
+			pattern: `(?:www\\.)?(?:${escaped.join("|")})(?![\\w.-])`,
+			replacement: `https://${fixed}`,
+			originals: hosts,
+			fixed,
+			ruleList: document.name,
+		};
+	}
 
-				// Apply all the embed replacements
-				processed = this.applyReplacements(processed);
+	// JSON with object keys sorted at every level, what list signatures are made over
+	canonicalJson(value) {
+		if (Array.isArray(value)) {
+			return `[${value.map((item) => this.canonicalJson(item)).join(",")}]`;
+		}
+		if (value !== null && typeof value === "object") {
+			return `{${Object.keys(value)
+				.sort()
+				.map(
+					(key) => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`
+				)
+				.join(",")}}`;
+		}
+		return JSON.stringify(value);
+	}
 
-				// Convert music links to song.link
-				if (this.platformToggles.songLink) {
-					processed = this.processSongLinks(processed);
-				}
+	// Check a rule list document against the format, returns a list of problems
+	validateRuleList(doc) {
+		const errors = [];
+		const isObject = (value) =>
+			value !== null && typeof value === "object" && !Array.isArray(value);
 
-				// Wrap paywalled urls
-				if (this.platformToggles.paywall) {
-					processed = this.processPaywalls(processed);
-				}
+		if (!isObject(doc)) return ["Rule list must be a JSON object"];
+		if (doc.format !== "EmbedFixer-rules") {
+			errors.push('format: must be "EmbedFixer-rules"');
+		}
+		if (typeof doc.name !== "string" || !doc.name.trim()) {
+			errors.push("name: is required");
+		}
+		if (!Number.isInteger(doc.version) || doc.version < 1) {
+			errors.push("version: must be a positive whole number");
+		}
+		if (typeof doc.expires !== "number" || !(doc.expires > 0)) {
+			errors.push("expires: must be a number of hours greater than 0");
+		}
+		if (
+			doc.signature !== undefined &&
+			(typeof doc.signature !== "string" ||
+				!/^[A-Za-z0-9+/]+={0,2}$/.test(doc.signature))
+		) {
+			errors.push("signature: must be base64");
+		}
+		if (!isObject(doc.rules)) {
+			errors.push("rules: must be an object");
+			return errors;
+		}
 
-				// Handle youtube shorts
-				if (this.platformToggles.youtubeShorts) {
-					processed = this.processYouTubeShorts(processed);
+		const checkList = (key, pattern, description) => {
+			const list = doc.rules[key];
+			if (list === undefined) return;
+			if (!Array.isArray(list)) {
+				errors.push(`rules.${key}: must be a list`);
+				return;
+			}
+			list.forEach((value, index) => {
+				if (typeof value !== "string" || !pattern.test(value)) {
+					errors.push(`rules.${key}[${index}]: must be ${description}`);
 				}
-
-				return processed;
 			});
-
-			return processedParts.join("");
 		};
+		const domainPattern = /^[a-z0-9-]+(?:\.[a-z0-9-]+)+$/i;
+		checkList("trackingParams", /^[\w.\-[\]]{1,100}$/, "a parameter name");
+		checkList("paywallDomains", domainPattern, "a domain like example.com");
+		checkList("ampDomains", /^[a-z0-9-]+$/i, "a domain name without TLD");
 
-		// Cache for tracking message content (for smart edit detection)
-		this.messageContentCache = new Map();
-
-		messageModule.sendMessage = async (channelId, content, ...args) => {
-			try {
-				if (content && typeof content.content === "string") {
-					const originalContent = content.content;
-					this.log("processing message:", originalContent);
-
-					content.content = processContent(content.content);
-
-					if (originalContent !== content.content) {
-						this.log("final message:", content.content);
-					} else {
-						this.log("no changes made to message content.");
+		// No regexes from lists: replacements swap a list of hosts for a fixed domain
+		const { replacements } = doc.rules;
+		if (replacements !== undefined) {
+			if (!Array.isArray(replacements)) {
+				errors.push("rules.replacements: must be a list");
+			} else {
+				replacements.forEach((rule, index) => {
+					const path = `rules.replacements[${index}]`;
+					if (!isObject(rule)) {
+						errors.push(`${path}: must be an object`);
+						return;
 					}
-				}
-			} catch (error) {
-				console.error("[EmbedFixer] Error processing message:", error);
+					const { key, name, hosts, fixed } = rule;
+					if (typeof key !== "string" || !/^[a-zA-Z][\w-]{0,31}$/.test(key)) {
+						errors.push(
+							`${path}.key: must start with a letter and only contain letters, numbers, - or _`
+						);
+					} else if (this.builtinToggleKeys.includes(key)) {
+						errors.push(`${path}.key: "${key}" is used by a built-in fixer`);
+					} else if (
+						replacements.slice(0, index).some((other) => other?.key === key)
+					) {
+						errors.push(`${path}.key: "${key}" is used twice`);
+					}
+					if (typeof name !== "string" || !name.trim()) {
+						errors.push(`${path}.name: is required`);
+					}
+					if (
+						!Array.isArray(hosts) ||
+						hosts.length === 0 ||
+						hosts.length > 50 ||
+						hosts.some(
+							(host) => typeof host !== "string" || !domainPattern.test(host)
+						)
+					) {
+						errors.push(`${path}.hosts: must be a list of 1 to 50 domains`);
+					}
+					if (typeof fixed !== "string" || !domainPattern.test(fixed)) {
+						errors.push(`${path}.fixed: must be a domain like example.com`);
+					}
+				});
 			}
+		}
 
-			const result = await this.originalSendMessage.call(
-				messageModule,
-				channelId,
-				content,
-				...args
-			);
+		return errors;
+	}
 
-			// Cache the sent message content for edit comparison
-			// Result contains the message ID after sending
-			try {
-				if (result && result.id && content && content.content) {
-					this.messageContentCache.set(result.id, content.content);
-					// Limit cache size to prevent memory issues
-					if (this.messageContentCache.size > 100) {
-						const firstKey = this.messageContentCache.keys().next().value;
-						this.messageContentCache.delete(firstKey);
+	// Check a list's ECDSA P-256 signature against the public key (base64 SPKI) the
+	// user pinned when subscribing. The signature (base64, raw r||s) covers the
+	// canonical JSON of everything in the document except the signature itself.
+	async verifyRuleListSignature(doc, publicKey) {
+		const decode = (base64) =>
+			Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+		try {
+			const key = await crypto.subtle.importKey(
+				"spki",
+				decode(publicKey),
+				{ name: "ECDSA", namedCurve: "P-256" },
+				false,
+				["verify"]
+			);
+			const { signature, ...signed } = doc;
+			return await crypto.subtle.verify(
+				{ name: "ECDSA", hash: "SHA-256" },
+				key,
+				decode(signature),
+				new TextEncoder().encode(this.canonicalJson(signed))
+			);
+		} catch (error) {
+			this.log("could not verify rule list signature:", error);
+			return false;
+		}
+	}
+
+	// Validate, signature-check and cache a rule list document for a source.
+	// Lists loaded from a file were picked by the user and need no signature.
+	// Throws with a readable message if the document can't be used.
+	async acceptRuleList(source, doc) {
+		const errors = this.validateRuleList(doc);
+		if (errors.length > 0) {
+			throw new Error(`Invalid rule list: ${errors.join("; ")}`);
+		}
+		if (!source.startsWith("file:")) {
+			const publicKey = this.ruleLists.find(
+				(list) => list.source === source
+			)?.publicKey;
+			if (!publicKey) {
+				throw new Error("No signing key pinned for this list");
+			}
+			if (
+				typeof doc.signature !== "string" ||
+				!(await this.verifyRuleListSignature(doc, publicKey))
+			) {
+				throw new Error("Signature does not match the pinned signing key");
+			}
+		}
+		const cached = this.ruleListCache[source]?.document;
+		if (cached && doc.version < cached.version) {
+			throw new Error(
+				`Version ${doc.version} is older than the cached version ${cached.version}`
+			);
+		}
+
+		this.ruleListCache[source] = { document: doc, fetchedAt: Date.now() };
+		this.compileRegexes();
+		this.saveSettings();
+		this.log(`loaded rule list "${doc.name}" v${doc.version} from`, source);
+	}
+
+	// Fetch a subscribed rule list. On any failure the last good copy stays in use.
+	async refreshRuleList(source) {
+		if (source.startsWith("file:")) return true;
+		try {
+			const response = await BdApi.Net.fetch(source);
+			if (!response.ok) {
+				throw new Error(`HTTP ${response.status}`);
+			}
+			await this.acceptRuleList(source, JSON.parse(await response.text()));
+			return true;
+		} catch (error) {
+			console.error(
+				`[EmbedFixer] Failed to update rule list ${source}:`,
+				error
+			);
+			// Keep the cached document, just remember why the update failed
+			this.ruleListCache[source] = {
+				...this.ruleListCache[source],
+				error: error.message,
+				failedAt: Date.now(),
+			};
+			this.saveSettings();
+			return false;
+		}
+	}
+
+	// Refresh every enabled subscription whose cached copy is missing or expired
+	async refreshRuleLists(force = false) {
+		const now = Date.now();
+		const due = this.ruleLists.filter(({ source, enabled }) => {
+			if (!enabled) return false;
+			const cached = this.ruleListCache[source];
+			if (force || !cached?.document) return true;
+			const expiresAt =
+				cached.fetchedAt + cached.document.expires * 60 * 60 * 1000;
+			return now >= expiresAt;
+		});
+		for (const { source } of due) {
+			await this.refreshRuleList(source);
+		}
+	}
+
+	// Validate a custom rule, returns a list of human readable problems (empty = valid)
+	validateCustomRule(rule, otherRules = []) {
+		const errors = [];
+		if (!rule || typeof rule !== "object") return ["Rule must be an object"];
+
+		const { key, name, pattern, replacement, originals, fixed } = rule;
+		if (typeof key !== "string" || !/^[a-zA-Z][\w-]{0,31}$/.test(key)) {
+			errors.push(
+				"Key must start with a letter and only contain letters, numbers, - or _"
+			);
+		} else if (this.builtinToggleKeys.includes(key)) {
+			errors.push(`Key "${key}" is already used by a built-in fixer`);
+		} else if (otherRules.some((other) => other.key === key)) {
+			errors.push(`Key "${key}" is already used by another custom rule`);
+		}
+
+		if (typeof name !== "string" || !name.trim()) {
+			errors.push("Display name is required");
+		}
+
+		let groupCount = 0;
+		if (typeof pattern !== "string" || !pattern.trim()) {
+			errors.push("Host pattern is required");
+		} else if (pattern.length > 500) {
+			errors.push("Host pattern is too long (max 500 characters)");
+		} else {
+			try {
+				// Empty alternative lets us count capture groups without a real match
+				groupCount = new RegExp(`${pattern}|`).exec("").length - 1;
+			} catch (e) {
+				errors.push(`Host pattern is not a valid regex: ${e.message}`);
+			}
+		}
+
+		if (
+			typeof replacement !== "string" ||
+			!/^https:\/\/\S+$/.test(replacement)
+		) {
+			errors.push("Replacement must be an https:// URL without spaces");
+		} else {
+			for (const [, group] of replacement.matchAll(/\$(\d+)/g)) {
+				if (Number(group) > groupCount) {
+					errors.push(
+						`Replacement uses $${group} but the pattern only has ${groupCount} capture group(s)`
+					);
+				}
+			}
+		}
+
+		if (
+			originals !== undefined &&
+			(!Array.isArray(originals) ||
+				originals.some((o) => typeof o !== "string" || !o.trim()))
+		) {
+			errors.push("Original domains must be a list of domains");
+		}
+		if (fixed !== undefined && typeof fixed !== "string") {
+			errors.push("Fixed domain must be text");
+		}
+		if (originals?.length > 0 && !fixed?.trim()) {
+			errors.push("Fixed domain is required when original domains are set");
+		}
+
+		return errors;
+	}
+
+	// Turn persisted custom rules into embedReplacements entries, skipping invalid ones
+	compileCustomRules(rules = this.customRules) {
+		const compiled = [];
+		rules.forEach((rule, index) => {
+			const errors = this.validateCustomRule(rule, rules.slice(0, index));
+			if (errors.length > 0) {
+				console.error(
+					`[EmbedFixer] Skipping invalid ${
+						rule?.ruleList ? `rule from list "${rule.ruleList}"` : "custom rule"
+					} "${rule?.key}":`,
+					errors.join("; ")
+				);
+				return;
+			}
+			compiled.push({
+				key: rule.key,
+				// Anchor to the scheme so custom rules only ever touch URLs
+				pattern: new RegExp(`https?:\\/\\/(?:${rule.pattern})`, "gi"),
+				replacement: rule.replacement,
+				name: rule.name,
+				originals: rule.originals || [],
+				fixed: rule.fixed || "",
+				fixedDomains: rule.fixed ? [rule.fixed] : [],
+				custom: true,
+				ruleList: rule.ruleList,
+			});
+			// New custom rules start enabled
+			this.platformToggles[rule.key] ??= true;
+		});
+		return compiled;
+	}
+
+	// Register the built-in pipeline steps. Each transformer has an id, a toggle key
+	// (null = always runs), a default priority, a kind and a transform(link, context) function.
+	// "privacy" steps only clean the link and also run on suppressed <links>,
+	// "embed" steps change where the link goes to get a better preview and skip them.
+	registerBuiltinTransformers() {
+		[
+			{
+				id: "trackingParams",
+				kind: "privacy",
+				name: "Tracking parameters",
+				toggleKey: "trackingParams",
+				priority: 100,
+				transform: (link) => this.stripTrackingParams(link),
+			},
+			{
+				id: "ampLinks",
+				kind: "privacy",
+				name: "AMP removal",
+				toggleKey: "ampLinks",
+				priority: 200,
+				transform: (link) => this.removeAmpLinks(link),
+			},
+			{
+				id: "amazonClean",
+				kind: "privacy",
+				name: "Amazon cleaning",
+				toggleKey: "amazonClean",
+				priority: 300,
+				// Every Amazon storefront, like the tracking regex
+				hosts: () => ["amazon.*"],
+				transform: (link) => this.cleanAmazonLinks(link),
+			},
+			{
+				id: "fixerLinks",
+				kind: "embed",
+				name: "Other fixer services",
+				// Follows the toggle of each link's platform
+				toggleKey: null,
+				priority: 350,
+				hosts: () => [...this.fixersByHost.keys()],
+				transform: (link, { toggles }) =>
+					this.normalizeFixerLinks(link, toggles),
+			},
+			{
+				id: "embeds",
+				kind: "embed",
+				name: "Embed fixers",
+				// Individual fixers are filtered by their own toggles
+				toggleKey: null,
+				priority: 400,
+				// Pattern-based custom rules can match any host
+				hosts: () =>
+					this.embedReplacements.every((entry) => entry.hosts)
+						? this.embedReplacements.flatMap((entry) => entry.hosts)
+						: null,
+				transform: (link, { toggles }) => this.applyReplacements(link, toggles),
+			},
+			{
+				id: "songLink",
+				kind: "embed",
+				name: "Song.link",
+				toggleKey: "songLink",
+				priority: 500,
+				hosts: () => this.musicDomains,
+				transform: (link) => this.processSongLinks(link),
+			},
+			{
+				id: "paywall",
+				kind: "embed",
+				name: "Paywall bypass",
+				toggleKey: "paywall",
+				priority: 600,
+				hosts: () => this.paywalledDomains,
+				transform: (link, { paywallService }) =>
+					this.processPaywalls(link, paywallService),
+			},
+			{
+				id: "youtubeShorts",
+				kind: "embed",
+				name: "YouTube Shorts",
+				toggleKey: "youtubeShorts",
+				priority: 700,
+				hosts: () => ["youtube.com"],
+				transform: (link) => this.processYouTubeShorts(link),
+			},
+		].forEach((transformer) =>
+			this.transformers.set(transformer.id, { ...transformer, builtin: true })
+		);
+	}
+
+	// Ids of the transformers that handle a hostname (or one of its parent domains),
+	// from a host -> ids index rebuilt after settings or registrations change.
+	// A host ending in ".*" matches that label under any suffix ("amazon.*" matches
+	// amazon.co.za and www.amazon.de). Transformers without a host list (or whose
+	// list is null right now) run on every link.
+	getTransformersForHost(hostname) {
+		if (!this.hostIndex) {
+			this.hostIndex = new Map();
+			this.hostLabelIndex = new Map();
+			this.hostDispatch = new Map();
+			this.anyHostTransformers = new Set();
+			for (const { id, hosts } of this.transformers.values()) {
+				const list = hosts?.();
+				if (!list) {
+					this.anyHostTransformers.add(id);
+					continue;
+				}
+				for (const host of list) {
+					const key = host.toLowerCase();
+					const index = key.endsWith(".*")
+						? this.hostLabelIndex
+						: this.hostIndex;
+					const entry = key.endsWith(".*") ? key.slice(0, -2) : key;
+					if (!index.has(entry)) index.set(entry, new Set());
+					index.get(entry).add(id);
+				}
+			}
+		}
+
+		if (!hostname) return this.anyHostTransformers;
+		const cached = this.hostDispatch.get(hostname);
+		if (cached) return cached;
+
+		const ids = new Set(this.anyHostTransformers);
+		// "www.nytimes.com" -> "www.nytimes.com", "nytimes.com", "com"
+		let domain = hostname;
+		while (domain) {
+			this.hostIndex.get(domain)?.forEach((id) => ids.add(id));
+			const dot = domain.indexOf(".");
+			if (dot !== -1) {
+				this.hostLabelIndex
+					.get(domain.slice(0, dot))
+					?.forEach((id) => ids.add(id));
+			}
+			domain = dot === -1 ? "" : domain.slice(dot + 1);
+		}
+		if (this.hostDispatch.size >= 500) this.hostDispatch.clear();
+		this.hostDispatch.set(hostname, ids);
+		return ids;
+	}
+
+	// Registered transformers in the order they run.
+	// Priorities from the settings panel (transformerPriorities) win over the defaults.
+	getOrderedTransformers() {
+		return (
+			[...this.transformers.values()]
+				.map((transformer) => ({
+					...transformer,
+					priority:
+						this.transformerPriorities[transformer.id] ?? transformer.priority,
+				}))
+				// Array.prototype.sort is stable, so equal priorities keep registration order
+				.sort((a, b) => a.priority - b.priority)
+		);
+	}
+
+	// Run one transformer on a link, a broken transformer never breaks the pipeline
+	runTransformer(transformer, link, context) {
+		try {
+			const result = transformer.transform(link, context);
+			return typeof result === "string" ? result : link;
+		} catch (error) {
+			console.error(
+				`[EmbedFixer] Error in transformer ${transformer.id}:`,
+				error
+			);
+			return link;
+		}
+	}
+
+	// ============================================================
+	// Public API - see "Public API" in the README for the contract.
+	// Reach it with BdApi.Plugins.get("EmbedFixer").instance
+	// ============================================================
+
+	// Run text through the same pipeline as outgoing messages.
+	// options.channelId applies that channel's overrides, options.toggles
+	// overrides individual toggles for this call only.
+	fixText(text, options = {}) {
+		if (typeof text !== "string") {
+			throw new TypeError("EmbedFixer.fixText expects a string");
+		}
+		if (!this.embedReplacements) this.compileRegexes();
+
+		const result = this.transformContent(
+			text,
+			options.channelId,
+			options.toggles
+		);
+		return {
+			apiVersion: EmbedFixer.API_VERSION,
+			text: result.text,
+			changed: result.text !== text,
+			changes: result.changes.map(({ original, rewritten, steps }) => ({
+				original,
+				rewritten,
+				steps: steps.map(({ id, name, before, after }) => ({
+					id,
+					name,
+					before,
+					after,
+				})),
+			})),
+		};
+	}
+
+	// Register a transformer that runs on every link, or only on links to `hosts` and
+	// their subdomains. Returns an unregister function.
+	registerTransformer({
+		id,
+		name,
+		toggleKey = null,
+		defaultEnabled = true,
+		priority = 1000,
+		kind = "embed",
+		hosts,
+		transform,
+	} = {}) {
+		if (typeof id !== "string" || !id.trim()) {
+			throw new TypeError("Transformer id must be a non-empty string");
+		}
+		if (typeof transform !== "function") {
+			throw new TypeError(`Transformer ${id} needs a transform function`);
+		}
+		if (!Number.isFinite(priority)) {
+			throw new TypeError(`Transformer ${id} priority must be a number`);
+		}
+		if (toggleKey !== null && (typeof toggleKey !== "string" || !toggleKey)) {
+			throw new TypeError(`Transformer ${id} toggleKey must be a string`);
+		}
+		if (typeof defaultEnabled !== "boolean") {
+			throw new TypeError(`Transformer ${id} defaultEnabled must be a boolean`);
+		}
+		if (kind !== "privacy" && kind !== "embed") {
+			throw new TypeError(
+				`Transformer ${id} kind must be "privacy" or "embed"`
+			);
+		}
+		if (
+			hosts !== undefined &&
+			(!Array.isArray(hosts) ||
+				hosts.some((host) => typeof host !== "string" || !host.trim()))
+		) {
+			throw new TypeError(
+				`Transformer ${id} hosts must be a list of hostnames`
+			);
+		}
+		if (this.transformers.has(id)) {
+			throw new Error(`Transformer ${id} is already registered`);
+		}
+
+		const transformer = {
+			id,
+			name: name || id,
+			toggleKey,
+			priority,
+			kind,
+			// Only called for links on these hosts (and their subdomains)
+			hosts: hosts && (() => hosts),
+			transform,
+			builtin: false,
+		};
+		this.transformers.set(id, transformer);
+		this.hostIndex = null;
+		// Like custom rules, the toggle keeps the user's choice once it was saved
+		if (toggleKey) this.platformToggles[toggleKey] ??= defaultEnabled;
+		this.log("registered transformer", id);
+		return () => {
+			// Only remove our own registration, not a later one with the same id
+			if (this.transformers.get(id) === transformer) {
+				this.unregisterTransformer(id);
+			}
+		};
+	}
+
+	// [toggleKey, name] of registered transformers that can be turned off, for the
+	// settings panel, overrides and settings import
+	getRegisteredToggles() {
+		const toggles = new Map();
+		for (const { builtin, toggleKey, name } of this.transformers.values()) {
+			if (builtin === false && toggleKey && !toggles.has(toggleKey)) {
+				toggles.set(toggleKey, name);
+			}
+		}
+		return [...toggles];
+	}
+
+	// Remove a transformer registered through registerTransformer (built-ins stay)
+	unregisterTransformer(id) {
+		if (this.transformers.get(id)?.builtin !== false) return false;
+		this.transformers.delete(id);
+		this.hostIndex = null;
+		this.log("unregistered transformer", id);
+		return true;
+	}
+
+	// Split Discord markdown into typed segments ({ type, value }, joined back they
+	// give the input). Types: text, quote (block quote text), codeBlock, inlineCode,
+	// mention (users, roles, channels, commands), emoji and timestamp.
+	// Unclosed code fences and inline code are plain text, like in Discord.
+	tokenizeMarkdown(text) {
+		const segments = [];
+		const push = (type, value) => {
+			const last = segments[segments.length - 1];
+			// Merge consecutive text so words aren't split at escapes or backticks
+			if (last?.type === type && (type === "text" || type === "quote")) {
+				last.value += value;
+			} else {
+				segments.push({ type, value });
+			}
+		};
+
+		const special = /[\\`<\n]/g;
+		let quoteLine = false;
+		let quoteRest = false;
+		let i = 0;
+		while (i < text.length) {
+			// "> " quotes one line, ">>> " quotes the rest of the message
+			if ((i === 0 || text[i - 1] === "\n") && !quoteRest) {
+				quoteRest = text.startsWith(">>> ", i);
+				quoteLine = quoteRest || text.startsWith("> ", i);
+			}
+			const textType = quoteLine ? "quote" : "text";
+			const char = text[i];
+
+			// Escaped characters never start anything
+			if (char === "\\" && i + 1 < text.length) {
+				push(textType, text.slice(i, i + 2));
+				i += 2;
+				continue;
+			}
+
+			if (char === "`") {
+				let run = 1;
+				while (text[i + run] === "`") run++;
+				let end = -1;
+				if (run >= 3) {
+					const close = text.indexOf("```", i + run);
+					if (close !== -1) end = close + 3;
+				} else {
+					// Inline code closes with a run of exactly as many backticks
+					const closing = new RegExp(`(?<!\`)\`{${run}}(?!\`)`, "g");
+					closing.lastIndex = i + run;
+					const match = closing.exec(text);
+					if (match) end = match.index + run;
+				}
+				if (end === -1) {
+					push(textType, text.slice(i, i + run));
+					i += run;
+				} else {
+					push(run >= 3 ? "codeBlock" : "inlineCode", text.slice(i, end));
+					i = end;
+				}
+				continue;
+			}
+
+			if (char === "<") {
+				const match =
+					/^<(?:(@[!&]?\d+|#\d+|\/[\w -]+:\d+)|(a?:\w+:\d+)|(t:-?\d+(?::[tTdDfFR])?))>/.exec(
+						text.slice(i, i + 120)
+					);
+				if (match) {
+					push(
+						match[1] ? "mention" : match[2] ? "emoji" : "timestamp",
+						match[0]
+					);
+					i += match[0].length;
+					continue;
+				}
+			}
+
+			// Plain text runs to the next character that may start something, a line
+			// ends a run so the next one can start a quote
+			let end = i + 1;
+			if (char !== "\n") {
+				special.lastIndex = end;
+				const next = special.exec(text);
+				end = !next ? text.length : next.index + (next[0] === "\n" ? 1 : 0);
+			}
+			push(textType, text.slice(i, end));
+			i = end;
+		}
+		return segments;
+	}
+
+	// Whether links in a segment of this type may be rewritten
+	isEligibleSegment(type) {
+		return type === "text" || (type === "quote" && !this.skipQuotes);
+	}
+
+	// Process message content and report every rewritten link.
+	// Returns { text, tokens, changes, optedOut } where tokens are the original pieces of
+	// the message (opt-out markers removed), each change is
+	// { index, original, rewritten, steps: [{ id, name, before, after }] } and optedOut
+	// lists the links left alone by the raw prefix, a "!" marker or skipLinks.
+	transformContent(text, channelId, toggleOverrides, skipLinks = []) {
+		if (typeof text !== "string") {
+			return { text, tokens: [], changes: [], optedOut: [] };
+		}
+
+		// The raw prefix skips the whole message and is removed before sending
+		const raw = Boolean(this.rawPrefix) && text.startsWith(this.rawPrefix);
+		const body = raw ? text.slice(this.rawPrefix.length) : text;
+
+		// Most messages have no links at all, don't tokenize those
+		if (!/https?:\/\//i.test(body)) {
+			return { text: body, tokens: [body], changes: [], optedOut: [] };
+		}
+
+		// Resolve toggles for this channel (global -> guild/DM -> channel)
+		const resolved = this.resolveSettings(channelId);
+		const toggles = { ...resolved.toggles, ...toggleOverrides };
+		const context = {
+			toggles,
+			paywallService: resolved.paywallService,
+			channelId,
+		};
+		const transformers = this.getOrderedTransformers().filter(
+			({ toggleKey }) => !toggleKey || toggles[toggleKey]
+		);
+
+		// Tokenize once: split the markdown into segments, then pull the words that
+		// contain a link out of eligible text in a single scan. Every transform works on
+		// a single URL, so processing word by word is equivalent to processing the whole
+		// segment and lets us report per link. Everything else stays one plain token.
+		const tokens = [];
+		const linkTokens = [];
+		const optedOut = [];
+		for (const { type, value } of this.tokenizeMarkdown(body)) {
+			if (!this.isEligibleSegment(type) || !/https?:\/\//i.test(value)) {
+				tokens.push(value);
+				continue;
+			}
+			const linkRegex = /https?:\/\//gi;
+			const spaceRegex = /\s/g;
+			let lastIndex = 0;
+			let match;
+			while ((match = linkRegex.exec(value))) {
+				// Widen the match to the whole word around it
+				let start = match.index;
+				while (start > lastIndex && !/\s/.test(value[start - 1])) start--;
+				spaceRegex.lastIndex = match.index;
+				const end = spaceRegex.exec(value)?.index ?? value.length;
+				linkRegex.lastIndex = end;
+
+				if (start > lastIndex) tokens.push(value.slice(lastIndex, start));
+				lastIndex = end;
+				const word = value.slice(start, end);
+				// A "!" right before a link leaves just that link alone (e.g. !https://x.com/...),
+				// links opted out earlier (edits) and every link of a raw message too
+				const unmarked = word.includes("!")
+					? word.replace(/^([^\w\s!]*)!(?=https?:\/\/)/i, "$1")
+					: word;
+				if (raw || unmarked !== word || skipLinks.includes(unmarked)) {
+					optedOut.push(unmarked);
+				} else {
+					linkTokens.push(tokens.length);
+				}
+				tokens.push(unmarked);
+			}
+			if (lastIndex < value.length) tokens.push(value.slice(lastIndex));
+		}
+
+		const changes = [];
+		const output = tokens.slice();
+		for (const index of linkTokens) {
+			const token = tokens[index];
+			// The same link may have been opted out elsewhere in the message
+			if (optedOut.includes(token)) continue;
+
+			// Transformers only see the URLs, masked link brackets, spoiler bars and
+			// punctuation around them are put back exactly as they were
+			const applied = [];
+			const processed = this.splitLinks(token)
+				.map(({ text, url, masked }, i, parts) => {
+					if (text !== undefined) return text;
+					// <link> tells Discord not to embed it, so only clean it. Checked per
+					// link, one word can hold several (<https://a>,https://b).
+					const suppressed =
+						(parts[i - 1]?.text ?? "").endsWith("<") &&
+						(parts[i + 1]?.text ?? "").startsWith(">");
+					// Links remembered for this message (e.g. reverted in an earlier edit)
+					if (skipLinks.includes(url)) {
+						optedOut.push(url);
+						return url;
+					}
+
+					let link = url;
+					let fixed = false;
+					// Transformers for this link's host, looked up again when a step changes it
+					let dispatchedFor = null;
+					let dispatched = null;
+					for (const transformer of transformers) {
+						if (suppressed && transformer.kind !== "privacy") continue;
+						if (transformer.hosts) {
+							if (dispatchedFor !== link) {
+								dispatchedFor = link;
+								dispatched = this.getTransformersForHost(
+									this.parseLinkHost(link)?.hostname
+								);
+							}
+							if (!dispatched.has(transformer.id)) continue;
+						}
+						const before = link;
+						link = this.runTransformer(transformer, link, context);
+						if (link !== before) {
+							const rule =
+								transformer.id === "embeds"
+									? this.findReplacement(before, toggles)
+									: null;
+							applied.push({
+								id: transformer.id,
+								name: rule?.name ?? transformer.name,
+								// Which embed replacement did it (for statistics)
+								ruleKey: rule?.key,
+								before,
+								after: link,
+							});
+							if (transformer.kind === "embed") fixed = true;
+						}
+					}
+
+					// Optionally keep showing the (cleaned) original link as the label
+					if (this.maskFixedLinks && fixed && !masked && !suppressed) {
+						const label = transformers
+							.filter(({ kind }) => kind === "privacy")
+							.reduce(
+								(acc, transformer) =>
+									this.runTransformer(transformer, acc, context),
+								url
+							);
+						const maskedLink = `[${label}](${link})`;
+						applied.push({
+							id: "maskedLink",
+							name: "Masked link",
+							before: link,
+							after: maskedLink,
+						});
+						link = maskedLink;
+					}
+					return link;
+				})
+				.join("");
+
+			if (processed !== token) {
+				changes.push({
+					index,
+					original: token,
+					rewritten: processed,
+					steps: applied,
+				});
+				output[index] = processed;
+			}
+		}
+
+		return { text: output.join(""), tokens, changes, optedOut };
+	}
+
+	// Where the URL starting at `start` ends. Shared by splitLinks() and every
+	// transformer so a link ends the same way everywhere, close to GFM autolinks:
+	// whitespace, <, >, ], `, \, a spoiler's || and an unbalanced ")" end it, then
+	// trailing punctuation, quotes and entity references (&amp;) are left out.
+	// Balanced parentheses stay, e.g. https://en.wikipedia.org/wiki/Foo_(bar)
+	findLinkEnd(text, start) {
+		const min = text.indexOf("//", start) + 2;
+		const stop = /[\s<>\]`\\|()]/g;
+		stop.lastIndex = min;
+		let depth = 0;
+		let next;
+		while ((next = stop.exec(text))) {
+			const char = next[0];
+			if (char === "(") depth++;
+			else if (char === ")") {
+				if (depth-- === 0) break;
+			} else if (char !== "|" || text[next.index + 1] === "|") break;
+		}
+
+		let end = next ? next.index : text.length;
+		while (end > min) {
+			if (text[end - 1] === ";") {
+				const entity = /&[a-z\d]+;$/i.exec(text.slice(min, end));
+				if (entity) {
+					end -= entity[0].length;
+					continue;
+				}
+			}
+			if (!".,!?;:'\"*_~".includes(text[end - 1])) break;
+			end--;
+		}
+		return end;
+	}
+
+	// Every URL in a piece of text as { url, start, end, masked }. URLs used as a
+	// masked link label ([url](...)) are text, masked is true for the link target.
+	findLinks(text) {
+		// Every transformer scans the link it's given again, remember the last scan
+		if (this.lastFoundLinks?.text === text) return this.lastFoundLinks.links;
+		const links = [];
+		const scheme = /https?:\/\//gi;
+		let match;
+		while ((match = scheme.exec(text))) {
+			const start = match.index;
+			const end = this.findLinkEnd(text, start);
+			scheme.lastIndex = end;
+			if (text.startsWith("](", end)) continue;
+			links.push({
+				url: text.slice(start, end),
+				start,
+				end,
+				masked: text.slice(0, start).endsWith("]("),
+			});
+		}
+		this.lastFoundLinks = { text, links };
+		return links;
+	}
+
+	// Replace every URL in a piece of text with replacer(url), everything around the
+	// URLs (punctuation, brackets, other text) is kept as is
+	replaceLinks(text, replacer) {
+		let result = "";
+		let last = 0;
+		for (const { url, start, end } of this.findLinks(text)) {
+			result += text.slice(last, start) + replacer(url);
+			last = end;
+		}
+		return result + text.slice(last);
+	}
+
+	// Split a word into plain text and URL parts ({ text } or { url, masked })
+	splitLinks(token) {
+		const parts = [];
+		let last = 0;
+		for (const { url, start, end, masked } of this.findLinks(token)) {
+			if (start > last) parts.push({ text: token.slice(last, start) });
+			parts.push({ url, masked });
+			last = end;
+		}
+		if (last < token.length) parts.push({ text: token.slice(last) });
+		return parts;
+	}
+
+	// Rebuild message content applying only the accepted changes
+	buildContent({ tokens }, acceptedChanges) {
+		const replacements = new Map(
+			acceptedChanges.map((change) => [change.index, change.rewritten])
+		);
+		return tokens
+			.map((token, index) => replacements.get(index) ?? token)
+			.join("");
+	}
+
+	// Find the enabled embed replacement that matches a piece of text
+	findReplacement(text, toggles = this.platformToggles) {
+		const rule = this.patternReplacements.find(
+			(entry) =>
+				toggles[entry.key] && this.applyReplacement(text, entry) !== text
+		);
+		if (rule) return rule;
+
+		// Built-ins only need a lookup by each link's host
+		for (const { url } of this.findLinks(text)) {
+			const link = this.parseLinkHost(url);
+			const entry = link && this.replacementsByHost.get(link.hostname);
+			if (
+				entry &&
+				toggles[entry.key] &&
+				(entry.rewrite(link.path) ?? url) !== url
+			) {
+				return entry;
+			}
+		}
+		return undefined;
+	}
+
+	// Show the pre-send review modal, resolves with the accepted changes
+	reviewChanges(transformed) {
+		const { React } = BdApi;
+		const accepted = new Set(transformed.changes);
+
+		const linkStyle = {
+			fontFamily: "var(--font-code)",
+			fontSize: "12px",
+			wordBreak: "break-all",
+		};
+		const rows = transformed.changes.map((change) =>
+			React.createElement(
+				"label",
+				{
+					key: change.index,
+					style: {
+						display: "flex",
+						gap: "8px",
+						padding: "8px 0",
+						borderBottom: "1px solid var(--background-modifier-accent)",
+						color: "var(--text-normal)",
+						cursor: "pointer",
+					},
+				},
+				React.createElement("input", {
+					type: "checkbox",
+					defaultChecked: true,
+					onChange: (e) => {
+						if (e.target.checked) accepted.add(change);
+						else accepted.delete(change);
+					},
+				}),
+				React.createElement(
+					"div",
+					{ style: { flex: 1, minWidth: 0 } },
+					React.createElement(
+						"div",
+						{ style: { fontWeight: 500, marginBottom: "4px" } },
+						change.steps.map((step) => step.name).join(" → ")
+					),
+					React.createElement(
+						"div",
+						{ style: { ...linkStyle, color: "var(--text-muted)" } },
+						change.original
+					),
+					React.createElement(
+						"div",
+						{ style: linkStyle },
+						`→ ${change.rewritten}`
+					)
+				)
+			)
+		);
+
+		return new Promise((resolve) => {
+			let settled = false;
+			const settle = (changes) => {
+				if (settled) return;
+				settled = true;
+				resolve(changes);
+			};
+
+			BdApi.UI.showConfirmationModal(
+				"EmbedFixer - Review Links",
+				React.createElement("div", null, rows),
+				{
+					confirmText: "Send",
+					cancelText: "Send Original",
+					onConfirm: () =>
+						settle(transformed.changes.filter((c) => accepted.has(c))),
+					onCancel: () => settle([]),
+					// Closing the modal must never swallow the message
+					onClose: () => settle([]),
+				}
+			);
+		});
+	}
+
+	start() {
+		this.loadSettings();
+		this.compileRegexes();
+		this.log("plugin started");
+
+		// Update expired rule lists in the background, cached copies are used meanwhile.
+		// Checked again every hour so lists expire while Discord stays open.
+		this.refreshRuleLists();
+		clearInterval(this.ruleListTimer);
+		this.ruleListTimer = setInterval(
+			() => this.refreshRuleLists(),
+			60 * 60 * 1000
+		);
+
+		// Channel store is only needed to resolve guild/DM overrides
+		this.ChannelStore = BdApi.Webpack.getByKeys(
+			"getChannel",
+			"getDMFromUserId"
+		);
+
+		// Previous content of messages that aren't in our cache (sent before it existed,
+		// from another device or expired), only read when editing
+		this.MessageStore = BdApi.Webpack.getByKeys("getMessage", "getMessages");
+
+		this.installHooks();
+
+		this.patchContextMenus();
+		this.patchIncomingEmbeds();
+		this.patchComposerPaste();
+	}
+
+	// Run text that's about to leave the client through the pipeline, with the
+	// review modal when enabled. Returns { text, original, changes, optedOut },
+	// original being what the user typed minus opt-out markers.
+	async processOutgoingText(channelId, text) {
+		const transformed = this.transformContent(text, channelId);
+		const changes =
+			this.confirmBeforeSend && transformed.changes.length > 0
+				? await this.reviewChanges(transformed)
+				: transformed.changes;
+		return {
+			text: this.buildContent(transformed, changes),
+			original: this.buildContent(transformed, []),
+			changes,
+			optedOut: transformed.optedOut,
+		};
+	}
+
+	// Every hook start() installs: the message module first, then the other send
+	// paths. Each names the keys its module is found by and how to patch it.
+	getHooks() {
+		return [
+			{
+				id: "sendMessage",
+				name: "Messages",
+				keys: ["sendMessage", "editMessage"],
+				// Builds that split the message action creators differently
+				altKeys: [["sendMessage", "sendBotMessage"]],
+				method: "sendMessage",
+				patch: (module) => this.patchSendMessage(module),
+			},
+			{
+				id: "editMessage",
+				name: "Edits",
+				keys: ["sendMessage", "editMessage"],
+				altKeys: [["editMessage", "deleteMessage"]],
+				method: "editMessage",
+				patch: (module) => this.patchEditMessage(module),
+			},
+			...this.getSendPaths().map((path) => ({
+				...path,
+				patch: (module) => this.patchSendPath(module, path),
+			})),
+		];
+	}
+
+	// Filter matching modules that have every key of one of the hook's key sets
+	getHookFilter({ keys, altKeys = [] }) {
+		return (m) =>
+			[keys, ...altKeys].some((keySet) =>
+				keySet.every((key) => typeof m?.[key] === "function")
+			);
+	}
+
+	// Find a hook's module: by its keys, then by each alternative key set, then
+	// through nested exports. Null when Discord hasn't loaded it (yet).
+	findHookModule(hook) {
+		const candidates = [hook.keys, ...(hook.altKeys ?? [])].map((keySet) =>
+			BdApi.Webpack.getByKeys(...keySet)
+		);
+		candidates.push(
+			BdApi.Webpack.getModule?.(this.getHookFilter(hook), {
+				searchExports: true,
+			})
+		);
+		return (
+			candidates.find(
+				(module) => typeof module?.[hook.method] === "function"
+			) ?? null
+		);
+	}
+
+	// Patch every hook whose module is loaded. Modules in chunks Discord loads
+	// later are waited for and patched when they show up, until stop().
+	installHooks() {
+		this.hookAbort?.abort();
+		this.hookAbort = new AbortController();
+		this.patchStatus.clear();
+		const canWait = typeof BdApi.Webpack.waitForModule === "function";
+
+		for (const hook of this.getHooks()) {
+			const module = this.findHookModule(hook);
+			if (module) {
+				hook.patch(module);
+				this.patchStatus.set(hook.id, { name: hook.name, state: "active" });
+				continue;
+			}
+			if (!canWait) {
+				this.log(`could not find module for ${hook.name}`);
+				this.patchStatus.set(hook.id, { name: hook.name, state: "missing" });
+				continue;
+			}
+
+			this.log(`waiting for module for ${hook.name}`);
+			this.patchStatus.set(hook.id, { name: hook.name, state: "waiting" });
+			const { signal } = this.hookAbort;
+			BdApi.Webpack.waitForModule(this.getHookFilter(hook), {
+				signal,
+				searchExports: true,
+			})
+				.then((module) => {
+					if (signal.aborted || typeof module?.[hook.method] !== "function") {
+						return;
+					}
+					hook.patch(module);
+					this.patchStatus.set(hook.id, { name: hook.name, state: "active" });
+					this.log(`patched ${hook.name} after waiting`);
+				})
+				// Rejected when stop() aborts the wait
+				.catch(() => {});
+		}
+
+		if (this.patchStatus.get("sendMessage")?.state === "missing") {
+			BdApi.UI.showToast("EmbedFixer: Failed to find sendMessage module", {
+				type: "error",
+			});
+		}
+		this.log(
+			"hooks:",
+			[...this.patchStatus.values()]
+				.map(({ name, state }) => `${name} ${state}`)
+				.join(", ")
+		);
+	}
+
+	// Fix links in sent messages, then cache them for edits and the undo notice
+	patchSendMessage(messageModule) {
+		BdApi.Patcher.instead(
+			"EmbedFixer",
+			messageModule,
+			"sendMessage",
+			async (thisObject, [channelId, content, ...args], original) => {
+				// Pre-processing content and what changed, for the cache and undo notice
+				let originalContent = null;
+				let appliedChanges = [];
+				let optedOut = [];
+
+				try {
+					if (content && typeof content.content === "string") {
+						originalContent = content.content;
+						this.log("processing message:", originalContent);
+
+						const processed = await this.processOutgoingText(
+							channelId,
+							content.content
+						);
+						appliedChanges = processed.changes;
+						content.content = processed.text;
+						// What the user typed minus opt-out markers, so undo doesn't bring them back
+						originalContent = processed.original;
+						optedOut = processed.optedOut;
+
+						if (originalContent !== content.content) {
+							this.log("final message:", content.content);
+						} else {
+							this.log("no changes made to message content.");
+						}
+					}
+				} catch (error) {
+					console.error("[EmbedFixer] Error processing message:", error);
+				}
+
+				const result = await original(channelId, content, ...args);
+
+				// Cache the sent message content for edit comparison
+				// Result contains the message ID after sending
+				try {
+					const messageId = result?.body?.id ?? result?.id;
+					if (messageId && content && content.content) {
+						this.cacheMessageContent(
+							channelId,
+							messageId,
+							content.content,
+							originalContent,
+							optedOut
+						);
+						this.recordStats([
+							...appliedChanges,
+							...this.takePastedChanges(channelId, content.content),
+						]);
+						if (appliedChanges.length > 0) {
+							this.showUndoNotice(channelId, messageId, appliedChanges);
+						}
+					}
+				} catch (e) {
+					// Ignore caching errors
+				}
+
+				return result;
+			}
+		);
+	}
+
+	// Fix links in edits, leaving links the user reverted or opted out alone
+	patchEditMessage(messageModule) {
+		// Undo edits through the module so other plugins' patches still run
+		this.messageModule = messageModule;
+
+		BdApi.Patcher.instead(
+			"EmbedFixer",
+			messageModule,
+			"editMessage",
+			async (
+				thisObject,
+				[channelId, messageId, content, ...args],
+				original
+			) => {
+				// Undo already sends the exact text to restore
+				if (this.skipEdits.delete(`${channelId}:${messageId}`)) {
+					return await original(channelId, messageId, content, ...args);
+				}
+				try {
+					if (content && typeof content.content === "string") {
+						const cached = this.getCachedMessage(channelId, messageId);
+						// Without a cache entry the store still has the content before this edit
+						const oldContent =
+							cached?.content ??
+							this.MessageStore?.getMessage?.(channelId, messageId)?.content ??
+							"";
+
+						// Links the user turned back into the original site are left alone,
+						// every other link in the edit is still fixed
+						const reverted = this.findRevertedLinks(
+							oldContent,
+							content.content
+						);
+						for (const { link, fixed, original } of reverted) {
+							this.log(`user reverted ${fixed} to ${original}:`, link);
+						}
+
+						// Opted-out and reverted links stay untouched on this and later edits
+						// (they end up in transformed.optedOut, which is cached)
+						const transformed = this.transformContent(
+							content.content,
+							channelId,
+							undefined,
+							[...(cached?.optedOut ?? []), ...reverted.map(({ link }) => link)]
+						);
+						// The edit without opt-out markers
+						const newContent = this.buildContent(transformed, []);
+
+						this.log("processing edit:", newContent);
+						content.content = transformed.text;
+						if (newContent !== content.content) {
+							this.log("final edit:", content.content);
+						}
+						// Links that were already in the message were counted when it was sent
+						const known = new Set(
+							this.findLinks(`${oldContent} ${cached?.original ?? ""}`).map(
+								({ url }) => url
+							)
+						);
+						const isNew = ({ original }) =>
+							!this.findLinks(original).some(({ url }) => known.has(url));
+						this.recordStats(
+							[
+								...transformed.changes,
+								...this.takePastedChanges(channelId, content.content),
+							].filter(isNew)
+						);
+						this.cacheMessageContent(
+							channelId,
+							messageId,
+							content.content,
+							newContent,
+							transformed.optedOut
+						);
+					}
+				} catch (error) {
+					console.error("[EmbedFixer] Error processing edit:", error);
+				}
+
+				return await original(channelId, messageId, content, ...args);
+			}
+		);
+	}
+
+	// Ways text leaves the client without sendMessage. Each path finds its module
+	// by keys, picks the channel out of the call's arguments (no channel: the call
+	// isn't one of ours), points at the { owner, key } holding the message text and
+	// optionally a plain-text title, and says which message the call's result is.
+	// Forwards have no path: they reference a snapshot of the original message with
+	// no text of ours to fix, and a comment on a forward is a separate sendMessage.
+	getSendPaths() {
+		const channelOf = (url, endpoint) =>
+			new RegExp(`/channels/(\\d+)/${endpoint}$`).exec(url ?? "")?.[1];
+		return [
+			{
+				id: "uploads",
+				name: "File upload captions",
+				keys: ["uploadFiles"],
+				method: "uploadFiles",
+				channelId: ([options]) => options?.channelId,
+				message: ([options]) => ({
+					owner: options?.parsedMessage,
+					key: "content",
+				}),
+				sentMessage: (result, channelId) => ({
+					channelId,
+					messageId: result?.body?.id ?? result?.id,
+				}),
+			},
+			{
+				// New threads and forum posts carry their first message and title. The
+				// response is the thread, its starter message (forum posts) shares its id.
+				id: "threads",
+				name: "Threads and forum posts",
+				keys: ["getAPIBaseURL", "post"],
+				method: "post",
+				channelId: ([request]) => channelOf(request?.url, "threads"),
+				message: ([request]) => ({
+					owner: request?.body?.message,
+					key: "content",
+				}),
+				title: ([request]) => ({ owner: request?.body, key: "name" }),
+				sentMessage: (result) => ({
+					channelId: result?.body?.id,
+					messageId: result?.body?.message?.id ?? result?.body?.id,
+				}),
+			},
+		];
+	}
+
+	// Titles are plain text, not markdown: only strip tracking parameters, never
+	// rewrite where a link goes or mask it
+	cleanTitle(text, channelId) {
+		if (!this.resolveSettings(channelId).toggles.trackingParams) return text;
+		return this.stripTrackingParams(text);
+	}
+
+	// Run the text of another send path through the same pipeline and cache the sent
+	// message, so later edits keep its opted-out and reverted links
+	patchSendPath(module, path) {
+		BdApi.Patcher.instead(
+			"EmbedFixer",
+			module,
+			path.method,
+			(thisObject, args, original) => {
+				const channelId = path.channelId(args);
+				// Leave unrelated calls synchronous and untouched
+				if (!channelId) return original(...args);
+
+				return (async () => {
+					let processed = null;
+					try {
+						const title = path.title?.(args);
+						if (typeof title?.owner?.[title.key] === "string") {
+							title.owner[title.key] = this.cleanTitle(
+								title.owner[title.key],
+								channelId
+							);
+						}
+
+						const { owner, key } = path.message(args);
+						if (typeof owner?.[key] === "string") {
+							this.log(`processing ${path.id}:`, owner[key]);
+							processed = await this.processOutgoingText(channelId, owner[key]);
+							owner[key] = processed.text;
+							if (processed.changes.length > 0) {
+								this.log(`final ${path.id}:`, processed.text);
+							}
+							this.recordStats([
+								...processed.changes,
+								...this.takePastedChanges(channelId, processed.text),
+							]);
+						}
+					} catch (error) {
+						console.error(`[EmbedFixer] Error processing ${path.name}:`, error);
+					}
+
+					const result = await original(...args);
+					try {
+						const sent = path.sentMessage(result, channelId);
+						if (processed && sent.channelId && sent.messageId) {
+							this.cacheMessageContent(
+								sent.channelId,
+								sent.messageId,
+								processed.text,
+								processed.original,
+								processed.optedOut
+							);
+						}
+					} catch (e) {
+						// Ignore caching errors
+					}
+					return result;
+				})();
+			}
+		);
+	}
+
+	// Remember sent content next to the pre-processing text and opted-out links
+	cacheMessageContent(
+		channelId,
+		messageId,
+		content,
+		original = content,
+		optedOut = []
+	) {
+		const key = `${channelId}:${messageId}`;
+		this.messageContentCache.delete(key);
+		this.messageContentCache.set(key, {
+			content,
+			original,
+			optedOut,
+			cachedAt: Date.now(),
+		});
+		this.pruneMessageCache();
+		this.saveMessageCache();
+	}
+
+	// Cached content of one of our messages, null if unknown or expired.
+	// Reading an entry makes it the most recently used.
+	getCachedMessage(channelId, messageId) {
+		const key = `${channelId}:${messageId}`;
+		const entry = this.messageContentCache.get(key);
+		if (!entry) return null;
+		this.messageContentCache.delete(key);
+		if (this.isCacheEntryExpired(entry)) {
+			this.saveMessageCache();
+			return null;
+		}
+		this.messageContentCache.set(key, entry);
+		return entry;
+	}
+
+	// Cached messages are kept for a week
+	isCacheEntryExpired({ cachedAt }) {
+		return !(Date.now() - cachedAt < 7 * 24 * 60 * 60 * 1000);
+	}
+
+	// Drop expired entries, then the least recently used beyond 500 messages
+	pruneMessageCache() {
+		for (const [key, entry] of this.messageContentCache) {
+			if (this.isCacheEntryExpired(entry)) this.messageContentCache.delete(key);
+		}
+		while (this.messageContentCache.size > 500) {
+			const firstKey = this.messageContentCache.keys().next().value;
+			this.messageContentCache.delete(firstKey);
+		}
+	}
+
+	// Writing the whole cache on every message is wasteful, changes are batched
+	// and written a few seconds later (or right away by stop())
+	saveMessageCache() {
+		if (this.messageCacheSaveTimer) return;
+		this.messageCacheSaveTimer = setTimeout(
+			() => this.flushMessageCache(),
+			5000
+		);
+	}
+
+	flushMessageCache() {
+		clearTimeout(this.messageCacheSaveTimer);
+		this.messageCacheSaveTimer = null;
+		BdApi.Data.save("EmbedFixer", "messageContentCache", [
+			...this.messageContentCache,
+		]);
+	}
+
+	// Tell the user what was fixed and offer to undo it for a few seconds
+	showUndoNotice(channelId, messageId, changes) {
+		if (!this.undoSeconds || this.undoSeconds <= 0) return;
+
+		const fixedBy = [
+			...new Set(changes.flatMap((change) => change.steps.map((s) => s.name))),
+		];
+		const count = changes.length;
+		const closeNotice = BdApi.UI.showNotice(
+			`EmbedFixer rewrote ${count} link${
+				count === 1 ? "" : "s"
+			} (${fixedBy.join(", ")})`,
+			{
+				type: "info",
+				timeout: this.undoSeconds * 1000,
+				buttons: [
+					{
+						label: "Undo",
+						onClick: () => {
+							closeNotice?.();
+							this.undoRewrite(channelId, messageId);
+						},
+					},
+				],
+			}
+		);
+	}
+
+	// Restore the exact pre-processing content of a sent message. The edit is
+	// flagged in skipEdits so the editMessage patch doesn't fix the links again.
+	async undoRewrite(channelId, messageId) {
+		if (typeof this.messageModule?.editMessage !== "function") {
+			this.log("can't undo, editMessage isn't patched yet");
+			return;
+		}
+		let cached = this.getCachedMessage(channelId, messageId);
+		if (!cached) {
+			// Not cached (expired or sent from another device): restore the real-site
+			// links in the copy Discord has loaded
+			const content = this.MessageStore?.getMessage?.(
+				channelId,
+				messageId
+			)?.content;
+			if (typeof content === "string") {
+				const original = this.restoreOriginalLinks(content);
+				cached = { content, original, optedOut: [] };
+			}
+		}
+		if (!cached || cached.content === cached.original) return;
+
+		try {
+			this.log("undoing rewrite of message", messageId);
+			// Cache the restored text so later edits treat it as the baseline
+			this.cacheMessageContent(
+				channelId,
+				messageId,
+				cached.original,
+				cached.original,
+				cached.optedOut
+			);
+			this.skipEdits.add(`${channelId}:${messageId}`);
+			await this.messageModule.editMessage(channelId, messageId, {
+				content: cached.original,
+			});
+		} catch (error) {
+			this.skipEdits.delete(`${channelId}:${messageId}`);
+			console.error("[EmbedFixer] Error undoing rewrite:", error);
+			BdApi.UI.showToast("EmbedFixer: Failed to undo changes", {
+				type: "error",
+			});
+		}
+	}
+
+	// Fixed links for a received message. Only the embed replacements are used,
+	// the message itself is never changed. Links Discord already shows a preview
+	// with media for are left to that preview.
+	getIncomingFixes(message) {
+		const content = message?.content;
+		if (typeof content !== "string" || !/https?:\/\//i.test(content)) {
+			return [];
+		}
+		const previewed = new Set(
+			(message.embeds ?? [])
+				.filter((embed) => embed?.image || embed?.video || embed?.thumbnail)
+				.map((embed) => embed.url)
+		);
+
+		const toggles = this.resolveSettings(message.channel_id).toggles;
+		const embeds = this.transformers.get("embeds");
+		const fixes = [];
+
+		for (const { type, value } of this.tokenizeMarkdown(content)) {
+			if (!this.isEligibleSegment(type)) continue;
+			for (const token of value.split(/\s+/)) {
+				// <link> and ||link|| mean the sender didn't want a preview
+				if (!/https?:\/\//i.test(token) || /^(<|\|\|)/.test(token)) continue;
+				const fixed = this.runTransformer(embeds, token, { toggles });
+				if (fixed === token) continue;
+
+				const original = this.findLinks(token)[0]?.url;
+				const fixedUrl = this.findLinks(fixed)[0]?.url;
+				if (!original || !fixedUrl || previewed.has(original)) continue;
+				if (fixes.some((fix) => fix.fixed === fixedUrl)) continue;
+				fixes.push({
+					original,
+					fixed: fixedUrl,
+					name: this.findReplacement(token, toggles)?.name,
+				});
+			}
+		}
+		return fixes;
+	}
+
+	// Add fixed link previews to received messages when "Fix Links From Others" is on
+	patchIncomingEmbeds() {
+		const MessageAccessories = BdApi.Webpack.getModule(
+			(m) => m?.prototype?.renderEmbeds,
+			{ searchExports: true }
+		);
+		this.patchStatus.set("incomingEmbeds", {
+			name: "Embeds under others' messages",
+			state: MessageAccessories ? "active" : "missing",
+		});
+		if (!MessageAccessories) {
+			this.log("could not find message accessories module");
+			return;
+		}
+		this.UserStore = BdApi.Webpack.getByKeys("getCurrentUser", "getUser");
+		// Discord's HTTP client, previews are unfurled by Discord's servers through it
+		this.RestAPI = BdApi.Webpack.getByKeys("getAPIBaseURL", "post");
+		this.patchStatus.set("linkPreviews", {
+			name: "Previews of fixed links",
+			state: this.RestAPI ? "active" : "missing",
+		});
+
+		// Stable component types so React keeps their state between renders
+		this.IncomingEmbeds = (props) => this.renderIncomingEmbeds(props);
+		this.FixedEmbed = (props) => this.renderFixedEmbed(props);
+
+		BdApi.Patcher.after(
+			"EmbedFixer",
+			MessageAccessories.prototype,
+			"renderEmbeds",
+			(accessories, args, result) => {
+				if (!this.fixIncomingLinks) return;
+				try {
+					const message = accessories?.props?.message;
+					// Our own messages were already fixed when sent
+					if (
+						!message ||
+						message.author?.id === this.UserStore?.getCurrentUser()?.id
+					) {
+						return;
 					}
+					const fixes = this.getIncomingFixes(message);
+					if (fixes.length === 0) return;
+
+					return BdApi.React.createElement(this.IncomingEmbeds, {
+						message,
+						fixes,
+						originalEmbeds: [result].flat().filter(Boolean),
+					});
+				} catch (error) {
+					console.error("[EmbedFixer] Error rendering fixed embeds:", error);
 				}
-			} catch (e) {
-				// Ignore caching errors
 			}
+		);
+	}
 
-			return result;
+	// Fixed previews under Discord's own embeds, plus the per-message "Show
+	// original" switch hiding ours. Discord's embeds are always kept.
+	renderIncomingEmbeds({ message, fixes, originalEmbeds }) {
+		const { React } = BdApi;
+		const [showOriginal, setShowOriginal] = React.useState(
+			this.showOriginalEmbeds.has(message.id)
+		);
+		const toggle = () => {
+			if (showOriginal) this.showOriginalEmbeds.delete(message.id);
+			else this.showOriginalEmbeds.add(message.id);
+			setShowOriginal(!showOriginal);
 		};
 
-		// Check if user is reverting: fixed domain disappeared AND its original appeared
-		// Uses the central embedReplacements config
-		const isRevertingFixedLink = (oldText, newText) => {
-			for (const { fixed, originals } of this.embedReplacements) {
-				if (!originals || originals.length === 0) continue;
-				// Was the fixed domain in the old text?
-				if (oldText.includes(fixed)) {
-					// Is it gone now AND an original domain appeared?
-					if (!newText.includes(fixed)) {
-						for (const original of originals) {
-							if (newText.includes(original) && !oldText.includes(original)) {
-								return { fixed, original };
-							}
-						}
-					}
+		return React.createElement(
+			React.Fragment,
+			null,
+			originalEmbeds,
+			!showOriginal &&
+				fixes.map((fix) =>
+					React.createElement(this.FixedEmbed, { key: fix.fixed, fix })
+				),
+			React.createElement(
+				"div",
+				{
+					role: "button",
+					onClick: toggle,
+					style: {
+						color: "var(--text-link)",
+						fontSize: "12px",
+						cursor: "pointer",
+						marginTop: "4px",
+						width: "fit-content",
+					},
+				},
+				showOriginal ? "Show fixed preview" : "Show original"
+			)
+		);
+	}
+
+	// Discord's embed for a fixed link, or null. Discord's servers fetch the page
+	// (like for any link in a message), so the fixer service never sees the
+	// viewer. Results are kept for the session, at most 200 links.
+	fetchUnfurledEmbed(url) {
+		if (!this.unfurlCache.has(url)) {
+			if (this.unfurlCache.size >= 200) {
+				this.unfurlCache.delete(this.unfurlCache.keys().next().value);
+			}
+			const request = this.RestAPI
+				? Promise.resolve(
+						this.RestAPI.post({
+							url: "/unfurler/embed-urls",
+							body: { urls: [url] },
+						})
+				  )
+						.then((response) => response?.body?.embeds?.[0] ?? null)
+						.catch((error) => {
+							this.log("could not unfurl", url, error);
+							return null;
+						})
+				: Promise.resolve(null);
+			this.unfurlCache.set(url, request);
+		}
+		return this.unfurlCache.get(url);
+	}
+
+	// Only Discord's media proxy is used for images and videos, never the
+	// original media URL
+	getPreviewMedia(embed) {
+		const video = embed?.video?.proxy_url;
+		const image = (embed?.image ?? embed?.thumbnail)?.proxy_url;
+		return { video: video || null, image: image || null };
+	}
+
+	// A preview of the fixed link from Discord's unfurler, or a card with just the
+	// link while it loads or when Discord has no preview for it
+	renderFixedEmbed({ fix }) {
+		const { React } = BdApi;
+		const host = this.parseLinkHost(fix.fixed)?.hostname ?? fix.fixed;
+		const [embed, setEmbed] = React.useState(null);
+		React.useEffect(() => {
+			let mounted = true;
+			this.fetchUnfurledEmbed(fix.fixed).then((result) => {
+				if (mounted) setEmbed(result);
+			});
+			return () => {
+				mounted = false;
+			};
+		}, [fix.fixed]);
+
+		const muted = {
+			fontSize: "12px",
+			color: "var(--text-muted)",
+			marginTop: "8px",
+		};
+		const { video, image } = this.getPreviewMedia(embed);
+		const description =
+			typeof embed?.description === "string" && embed.description.length > 350
+				? `${embed.description.slice(0, 350)}…`
+				: embed?.description;
+
+		return React.createElement(
+			"div",
+			{
+				style: {
+					maxWidth: "432px",
+					marginTop: "8px",
+					padding: "8px 16px 16px 12px",
+					borderLeft: `4px solid ${
+						typeof embed?.color === "number"
+							? `#${embed.color.toString(16).padStart(6, "0")}`
+							: "var(--background-modifier-accent)"
+					}`,
+					borderRadius: "4px",
+					background: "var(--background-secondary)",
+					color: "var(--text-normal)",
+				},
+			},
+			React.createElement(
+				"div",
+				{ style: muted },
+				[
+					embed?.provider?.name ?? host,
+					fix.name && `fixed by EmbedFixer (${fix.name})`,
+				]
+					.filter(Boolean)
+					.join(" · ")
+			),
+			embed?.author?.name &&
+				React.createElement(
+					"div",
+					{ style: { fontSize: "14px", fontWeight: 600, marginTop: "8px" } },
+					embed.author.name
+				),
+			React.createElement(
+				"a",
+				{
+					href: fix.fixed,
+					target: "_blank",
+					rel: "noreferrer noopener",
+					style: {
+						display: "block",
+						fontWeight: 600,
+						marginTop: "8px",
+						color: "var(--text-link)",
+						wordBreak: "break-word",
+					},
+				},
+				embed?.title ?? fix.fixed
+			),
+			description &&
+				React.createElement(
+					"div",
+					{
+						style: {
+							fontSize: "14px",
+							marginTop: "8px",
+							whiteSpace: "pre-line",
+						},
+					},
+					description
+				),
+			video
+				? React.createElement("video", {
+						src: video,
+						poster: image ?? undefined,
+						controls: true,
+						style: { maxWidth: "100%", marginTop: "16px", borderRadius: "4px" },
+				  })
+				: image &&
+						React.createElement("img", {
+							src: image,
+							alt: "",
+							style: {
+								maxWidth: "100%",
+								marginTop: "16px",
+								borderRadius: "4px",
+							},
+						}),
+			!embed &&
+				React.createElement(
+					"div",
+					{ style: muted },
+					`Opening the link connects to ${host}.`
+				)
+		);
+	}
+
+	// Fix links as they are pasted into the message composer when "Fix Links on
+	// Paste" is on. Holding Shift while pasting inserts the raw text.
+	patchComposerPaste() {
+		this.SelectedChannelStore = BdApi.Webpack.getByKeys(
+			"getChannelId",
+			"getVoiceChannelId"
+		);
+
+		// Paste events don't carry modifier keys, so track Shift ourselves
+		let shiftHeld = false;
+		const onKey = (event) => {
+			shiftHeld = event.shiftKey;
+		};
+		// Shift released in another window never sends a keyup here
+		const onBlur = () => {
+			shiftHeld = false;
+		};
+		const onPaste = (event) => {
+			if (!this.fixOnPaste || shiftHeld || this.dispatchingPaste) return;
+			try {
+				const editor = event.target?.closest?.('[data-slate-editor="true"]');
+				const text = event.clipboardData?.getData("text/plain");
+				if (!editor || !text) return;
+
+				// Composer text up to the caret, to tell if we're inside a code block
+				const selection = window.getSelection();
+				let textBefore = "";
+				if (selection?.rangeCount) {
+					const caret = selection.getRangeAt(0);
+					const range = document.createRange();
+					range.selectNodeContents(editor);
+					range.setEnd(caret.startContainer, caret.startOffset);
+					textBefore = range.toString();
+				}
+
+				const transformed = this.getPasteReplacement(
+					text,
+					this.SelectedChannelStore?.getChannelId(),
+					textBefore
+				);
+				if (!transformed) return;
+
+				event.preventDefault();
+				event.stopImmediatePropagation();
+				this.log("fixed pasted text:", transformed.text);
+				this.rememberPastedChanges(
+					this.SelectedChannelStore?.getChannelId(),
+					transformed.changes
+				);
+
+				// Hand the fixed text to the composer as a regular plain text paste
+				const clipboardData = new DataTransfer();
+				clipboardData.setData("text/plain", transformed.text);
+				this.dispatchingPaste = true;
+				try {
+					event.target.dispatchEvent(
+						new ClipboardEvent("paste", {
+							clipboardData,
+							bubbles: true,
+							cancelable: true,
+						})
+					);
+				} finally {
+					this.dispatchingPaste = false;
 				}
+			} catch (error) {
+				console.error("[EmbedFixer] Error processing paste:", error);
 			}
+		};
+
+		document.addEventListener("keydown", onKey, true);
+		document.addEventListener("keyup", onKey, true);
+		document.addEventListener("paste", onPaste, true);
+		window.addEventListener("blur", onBlur);
+		this.unpatchComposerPaste = () => {
+			document.removeEventListener("keydown", onKey, true);
+			document.removeEventListener("keyup", onKey, true);
+			document.removeEventListener("paste", onPaste, true);
+			window.removeEventListener("blur", onBlur);
+			this.unpatchComposerPaste = null;
+		};
+	}
+
+	// Statistics are only recorded for sent text, so pasted fixes wait for the send
+	rememberPastedChanges(channelId, changes) {
+		if (!channelId) return;
+		const pending = this.pastedChanges.get(channelId) ?? [];
+		this.pastedChanges.set(channelId, [...pending, ...changes]);
+	}
+
+	// Pasted fixes that made it into the sent text. Pastes that were deleted before
+	// sending are dropped with them.
+	takePastedChanges(channelId, text) {
+		const pending = this.pastedChanges.get(channelId);
+		if (!pending) return [];
+		this.pastedChanges.delete(channelId);
+		return typeof text === "string"
+			? pending.filter(({ rewritten }) => text.includes(rewritten))
+			: [];
+	}
+
+	// Transformed pasted text, or null if it should be pasted as is
+	getPasteReplacement(text, channelId, textBefore = "") {
+		if (this.isInsideCode(textBefore)) return null;
+		// A raw prefix at the start of the message or a "!" marker right before the
+		// caret opt out when sending, so paste as is and leave that to the send
+		if (this.rawPrefix && textBefore.startsWith(this.rawPrefix)) return null;
+		if (/(?:^|\s)[^\w\s!]*!$/.test(textBefore) && /^https?:\/\//i.test(text)) {
 			return null;
+		}
+		const transformed = this.transformContent(text, channelId);
+		// Opt-out markers are handled when sending, so paste those as typed
+		if (transformed.optedOut.length > 0) return null;
+		return transformed.changes.length > 0 ? transformed : null;
+	}
+
+	// Whether the caret (at the end of textBefore) sits inside a code block or inline code
+	isInsideCode(textBefore) {
+		const fences = textBefore.match(/```/g)?.length ?? 0;
+		if (fences % 2 === 1) return true;
+		const line = textBefore
+			.slice(textBefore.lastIndexOf("\n") + 1)
+			.replace(/```/g, "");
+		return (line.match(/`/g)?.length ?? 0) % 2 === 1;
+	}
+
+	// Add override entries to guild, channel and DM context menus
+	patchContextMenus() {
+		const addItem = (tree, scope, channelId) => {
+			const children = tree?.props?.children;
+			if (!Array.isArray(children)) return;
+			children.push(this.buildOverridesMenu(scope, channelId));
 		};
 
-		messageModule.editMessage = async (
-			channelId,
-			messageId,
-			content,
-			...args
-		) => {
-			try {
-				if (content && typeof content.content === "string") {
-					const newContent = content.content;
-					const oldContent = this.messageContentCache.get(messageId) || "";
-
-					// Check if user is intentionally reverting a fixed link
-					const revert = isRevertingFixedLink(oldContent, newContent);
-					if (revert) {
-						this.log(
-							`skipping edit - user reverted ${revert.fixed} to ${revert.original}`
-						);
-						// Update cache with the reverted content (don't re-fix on subsequent edits)
-						this.messageContentCache.set(messageId, newContent);
-					} else {
-						this.log("processing edit:", newContent);
-						content.content = processContent(newContent);
+		this.contextMenuPatches = [
+			BdApi.ContextMenu.patch("message", (tree, props) => {
+				const message = props?.message;
+				const children = tree?.props?.children;
+				if (!/https?:\/\//i.test(message?.content ?? "")) return;
+				if (!Array.isArray(children)) return;
+				children.push(...this.buildCopyMenuItems(message));
+			}),
+			BdApi.ContextMenu.patch("guild-context", (tree, props) => {
+				if (!props?.guild) return;
+				addItem(tree, { type: "guild", id: props.guild.id });
+			}),
+			...[
+				"channel-context",
+				"thread-context",
+				"user-context",
+				"gdm-context",
+			].map((navId) =>
+				BdApi.ContextMenu.patch(navId, (tree, props) => {
+					if (!props?.channel) return;
+					const channelId = props.channel.id;
+					addItem(tree, { type: "channel", id: channelId }, channelId);
+				})
+			),
+		];
+	}
 
-						if (newContent !== content.content) {
-							this.log("final edit:", content.content);
-						}
-						// Cache the processed content
-						this.messageContentCache.set(messageId, content.content);
-					}
+	// "Copy with fixed/original links" entries for the message context menu
+	buildCopyMenuItems(message) {
+		const copy = (text) => {
+			try {
+				if (globalThis.DiscordNative?.clipboard) {
+					DiscordNative.clipboard.copy(text);
+				} else {
+					navigator.clipboard.writeText(text);
 				}
+				BdApi.UI.showToast("EmbedFixer: Copied to clipboard", {
+					type: "success",
+				});
 			} catch (error) {
-				console.error("[EmbedFixer] Error processing edit:", error);
+				console.error("[EmbedFixer] Error copying message:", error);
+				BdApi.UI.showToast("EmbedFixer: Failed to copy message", {
+					type: "error",
+				});
 			}
+		};
 
-			return await this.originalEditMessage.call(
-				messageModule,
-				channelId,
-				messageId,
-				content,
-				...args
-			);
+		return [
+			BdApi.ContextMenu.buildItem({ type: "separator" }),
+			BdApi.ContextMenu.buildItem({
+				label: "Copy with Fixed Links",
+				action: () =>
+					copy(this.transformContent(message.content, message.channel_id).text),
+			}),
+			BdApi.ContextMenu.buildItem({
+				label: "Copy with Original Links",
+				action: () => copy(this.restoreOriginalLinks(message.content)),
+			}),
+		];
+	}
+
+	// Build the "EmbedFixer" submenu for a scope
+	buildOverridesMenu(scope, channelId) {
+		const overrides = this.getScopeOverrides(scope);
+		// Effective settings at this scope, so checkmarks match what will happen
+		const effective =
+			scope.type === "channel"
+				? this.resolveSettings(channelId)
+				: {
+						toggles: { ...this.platformToggles, ...overrides },
+						paywallService: overrides.paywallService ?? this.paywallService,
+				  };
+		const isOverridden = (key) => Object.hasOwn(overrides, key);
+
+		return BdApi.ContextMenu.buildItem({
+			type: "submenu",
+			label: "EmbedFixer",
+			items: [
+				...this.getToggleGroups().map(({ name, toggles }) => ({
+					type: "submenu",
+					label: name,
+					items: toggles.map(([key, label]) => ({
+						type: "toggle",
+						label: isOverridden(key) ? `${label} (override)` : label,
+						checked: Boolean(effective.toggles[key]),
+						action: () =>
+							this.setScopeOverride(scope, key, !effective.toggles[key]),
+					})),
+				})),
+				{
+					type: "submenu",
+					label: "Paywall Service",
+					items: this.getPaywallServices().map(({ value, text }) => ({
+						type: "radio",
+						label: text,
+						checked: effective.paywallService === value,
+						action: () => this.setScopeOverride(scope, "paywallService", value),
+					})),
+				},
+				{ type: "separator" },
+				{
+					label: "Clear Overrides",
+					danger: true,
+					disabled: Object.keys(overrides).length === 0,
+					action: () => this.clearScopeOverrides(scope),
+				},
+			],
+		});
+	}
+
+	// Paywall bypass services offered in the settings and override menus
+	getPaywallServices() {
+		return [
+			{ value: "archive", text: "Archive.is" },
+			{ value: "removepaywall", text: "RemovePaywall.com" },
+			{ value: "12ft", text: "12ft.io" },
+		];
+	}
+
+	// Links an edit turned back into the original site, compared link by link: each
+	// new link on a platform's original host pairs with a removed link on a fixed
+	// domain of that platform for the same post, so swapping one post for another
+	// isn't a revert. The same post means the new link fixes to the removed link's
+	// path, or the removed link restores to the new link's path (fixers that drop
+	// part of the path, like Giphy's slug, only match the first way).
+	// Returns [{ link, fixed, original }], link as in newText. Uses the central
+	// embedReplacements config, counting every known provider as fixed.
+	findRevertedLinks(oldText, newText) {
+		const oldLinks = this.findLinks(oldText).map(({ url }) => url);
+		const newLinks = this.findLinks(newText).map(({ url }) => url);
+		const removed = oldLinks.filter((url) => !newLinks.includes(url));
+		const added = newLinks.filter((url) => !oldLinks.includes(url));
+		// Path without query, fragment or trailing slash, the host is matched per platform
+		const pathOf = (url) =>
+			(this.parseLinkHost(url)?.path ?? "")
+				.replace(/[?#][\s\S]*$/, "")
+				.replace(/\/+$/, "");
+
+		const reverts = [];
+		for (const link of added) {
+			for (const entry of this.embedReplacements) {
+				const { fixedDomains, originals } = entry;
+				if (!originals || originals.length === 0) continue;
+				const onDomain = (url) => (domain) => this.containsDomain(url, domain);
+				// Pastebin's fixed links are on the original host too
+				if (fixedDomains.some(onDomain(link))) continue;
+				const original = originals.find(onDomain(link));
+				if (!original) continue;
+
+				const path = pathOf(link);
+				const fixedPath = pathOf(this.applyReplacement(link, entry));
+				const index = removed.findIndex(
+					(url) =>
+						fixedDomains.some(onDomain(url)) &&
+						(pathOf(url) === fixedPath ||
+							pathOf(this.restoreOriginalLink(url)) === path)
+				);
+				if (index === -1) continue;
+				const fixed = fixedDomains.find(onDomain(removed[index]));
+				removed.splice(index, 1);
+				reverts.push({ link, fixed, original });
+				break;
+			}
+		}
+		return reverts;
+	}
+
+	// Turn fixed links back into links to the real site. Code blocks are left alone.
+	restoreOriginalLinks(text) {
+		if (typeof text !== "string") return text;
+
+		return this.tokenizeMarkdown(text)
+			.map(({ type, value }) => {
+				if (type !== "text" && type !== "quote") return value;
+				return value
+					.split(/(\s+)/)
+					.map((token) =>
+						/https?:\/\//i.test(token) ? this.restoreOriginalLink(token) : token
+					)
+					.join("");
+			})
+			.join("");
+	}
+
+	// Unwrap paywall and song.link wrappers, then swap each fixer domain for the
+	// first of its originals (or use the entry's restore() for path rewrites)
+	restoreOriginalLink(link) {
+		const decode = (value) => {
+			try {
+				return decodeURIComponent(value);
+			} catch {
+				return value;
+			}
+		};
+		// Only links to paywalled sites were wrapped, other archive links are kept
+		const isPaywalled = (url) => {
+			const hostname = this.parseLinkHost(url)?.hostname;
+			return Boolean(hostname) && this.isPaywalledHost(hostname.toLowerCase());
 		};
+		let restored = link
+			// [original](fixed) masked links go back to the label
+			.replace(/\[(https?:\/\/[^\]\s]+)\]\(https?:\/\/[^\s)]+\)/gi, "$1")
+			.replace(
+				/https?:\/\/(?:www\.)?removepaywall\.com\/search\?url=([^\s&]+)/gi,
+				(match, url) => (isPaywalled(decode(url)) ? decode(url) : match)
+			)
+			.replace(
+				/https?:\/\/(?:archive\.is|12ft\.io)\/(https?:\/\/[^\s/?#]*)/gi,
+				(match, url) => (isPaywalled(url) ? url : match)
+			)
+			.replace(/https?:\/\/song\.link\/(https?%3A\S*)/gi, (match, url) =>
+				decode(url)
+			);
+
+		for (const entry of this.embedReplacements) {
+			if (entry.restore) {
+				restored = entry.restore(restored);
+				continue;
+			}
+			const original = entry.originals?.[0];
+			if (!original) continue;
+			for (const fixed of entry.fixedDomains) {
+				if (!fixed || fixed === original) continue;
+				const escaped = fixed.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+				restored = restored.replace(
+					new RegExp(`(https?:\\/\\/)(?:www\\.)?${escaped}(?![\\w-])`, "gi"),
+					`$1${original}`
+				);
+			}
+		}
+		return restored;
+	}
+
+	// Whether any link in the text is on this host (plus "www."), optionally under a
+	// path ("media.giphy.com/media"). Hosts match exactly, so "vxtwitter.com" doesn't
+	// count as "twitter.com" and "media.giphy.com" doesn't count as "giphy.com".
+	containsDomain(text, domain) {
+		const slash = domain.indexOf("/");
+		const host = (slash === -1 ? domain : domain.slice(0, slash)).toLowerCase();
+		const path = slash === -1 ? "" : domain.slice(slash);
+		for (const { url } of this.findLinks(text)) {
+			const link = this.parseLinkHost(url);
+			if (!link) continue;
+			if (link.hostname !== host && link.hostname !== `www.${host}`) continue;
+			if (!path || link.path.toLowerCase().startsWith(path.toLowerCase())) {
+				return true;
+			}
+		}
+		return false;
 	}
 
 	// Tracking parameters to strip from URLs
@@ -785,16 +3763,26 @@ module.exports = class EmbedFixer {
 	}
 
 	stripTrackingParams(segment) {
-		this.urlRegex.lastIndex = 0;
-		return segment.replace(this.urlRegex, (url) => {
+		return this.replaceLinks(segment, (url) => {
+			// Parsing the URL is the slow part, skip it unless a query key may be a
+			// tracking param (encoded keys are left to URLSearchParams to decode)
+			const queryStart = url.indexOf("?");
+			const hashStart = url.indexOf("#");
+			if (queryStart === -1 || (hashStart !== -1 && hashStart < queryStart)) {
+				return url;
+			}
+			const query = url.slice(
+				queryStart + 1,
+				hashStart === -1 ? url.length : hashStart
+			);
+			const tracked = query.split("&").some((pair) => {
+				const key = pair.split("=", 1)[0];
+				return (
+					/[%+]/.test(key) || this.trackingParamsSet.has(key.toLowerCase())
+				);
+			});
+			if (!tracked) return url;
 			try {
-				let trailingPunct = "";
-				const punctMatch = url.match(this.trailingPunctRegex);
-				if (punctMatch) {
-					trailingPunct = punctMatch[1];
-					url = url.slice(0, -trailingPunct.length);
-				}
-
 				const urlObj = new URL(url);
 				const paramsToDelete = [];
 				urlObj.searchParams.forEach((_, key) => {
@@ -810,9 +3798,9 @@ module.exports = class EmbedFixer {
 					if (cleanUrl.endsWith("?")) {
 						cleanUrl = cleanUrl.slice(0, -1);
 					}
-					return cleanUrl + trailingPunct;
+					return cleanUrl;
 				}
-				return url + trailingPunct;
+				return url;
 			} catch (e) {
 				return url;
 			}
@@ -820,171 +3808,223 @@ module.exports = class EmbedFixer {
 	}
 
 	removeAmpLinks(segment) {
-		// Google AMP cache
-		this.googleAmpCacheRegex.lastIndex = 0;
-		segment = segment.replace(this.googleAmpCacheRegex, (match, url) => {
-			this.log("removed Google AMP wrapper");
-			return "https://" + url;
-		});
+		// Every pattern below needs "amp" somewhere in the link
+		if (!/amp/i.test(segment)) return segment;
 
-		// Google AMP viewer
-		this.googleAmpViewerRegex.lastIndex = 0;
-		segment = segment.replace(this.googleAmpViewerRegex, (match, url) => {
-			this.log("removed Google AMP wrapper");
-			if (!url.startsWith("http")) {
+		return this.replaceLinks(segment, (link) => {
+			// Google AMP cache
+			this.googleAmpCacheRegex.lastIndex = 0;
+			link = link.replace(this.googleAmpCacheRegex, (match, url) => {
+				this.log("removed Google AMP wrapper");
 				return "https://" + url;
-			}
-			return url;
-		});
+			});
 
-		// Bing AMP cache
-		this.bingAmpRegex.lastIndex = 0;
-		segment = segment.replace(this.bingAmpRegex, (match, url) => {
-			this.log("removed Bing AMP wrapper");
-			return "https://" + url;
-		});
+			// Google AMP viewer
+			this.googleAmpViewerRegex.lastIndex = 0;
+			link = link.replace(this.googleAmpViewerRegex, (match, url) => {
+				this.log("removed Google AMP wrapper");
+				if (!url.startsWith("http")) {
+					return "https://" + url;
+				}
+				return url;
+			});
 
-		// amp. subdomain URLs
-		this.ampSubdomainRegex.lastIndex = 0;
-		segment = segment.replace(this.ampSubdomainRegex, (match, domain, path) => {
-			this.log("removed amp. subdomain from:", domain);
-			return "https://" + domain + (path || "");
-		});
+			// Bing AMP cache
+			this.bingAmpRegex.lastIndex = 0;
+			link = link.replace(this.bingAmpRegex, (match, url) => {
+				this.log("removed Bing AMP wrapper");
+				return "https://" + url;
+			});
 
-		// /amp/ in path
-		this.ampPathRegex.lastIndex = 0;
-		segment = segment.replace(this.ampPathRegex, (match, base, path) => {
-			this.log("removed /amp/ from path");
-			return base + (path || "");
-		});
+			// amp. subdomain URLs
+			this.ampSubdomainRegex.lastIndex = 0;
+			link = link.replace(this.ampSubdomainRegex, (match, domain, path) => {
+				this.log("removed amp. subdomain from:", domain);
+				return "https://" + domain + (path || "");
+			});
+
+			// /amp/ in path
+			this.ampPathRegex.lastIndex = 0;
+			link = link.replace(this.ampPathRegex, (match, base, path) => {
+				this.log("removed /amp/ from path");
+				return base + (path || "");
+			});
 
-		return segment;
+			return link;
+		});
 	}
 
 	cleanAmazonLinks(segment) {
-		this.amazonProductRegex.lastIndex = 0;
-		segment = segment.replace(
-			this.amazonProductRegex,
-			(match, domain, _middle, asin) => {
-				this.log("cleaned Amazon link, ASIN:", asin);
-				return `${domain}/dp/${asin}`;
-			}
-		);
+		return this.replaceLinks(segment, (link) => {
+			this.amazonProductRegex.lastIndex = 0;
+			link = link.replace(
+				this.amazonProductRegex,
+				(match, domain, _middle, asin) => {
+					this.log("cleaned Amazon link, ASIN:", asin);
+					return `${domain}/dp/${asin}`;
+				}
+			);
 
-		this.amazonTrackingRegex.lastIndex = 0;
-		segment = segment.replace(this.amazonTrackingRegex, (match, baseUrl) => {
-			if (baseUrl.includes("/dp/") || baseUrl.includes("/gp/")) {
-				this.log("stripped Amazon tracking params");
-				return baseUrl;
-			}
-			return match;
+			this.amazonTrackingRegex.lastIndex = 0;
+			return link.replace(this.amazonTrackingRegex, (match, baseUrl) => {
+				if (baseUrl.includes("/dp/") || baseUrl.includes("/gp/")) {
+					this.log("stripped Amazon tracking params");
+					return baseUrl;
+				}
+				return match;
+			});
 		});
-
-		return segment;
 	}
 
 	processSongLinks(segment) {
-		for (const pattern of this.musicPatterns) {
-			pattern.lastIndex = 0;
-			segment = segment.replace(pattern, (match) => {
-				let trailing = "";
-				const punctMatch = match.match(this.trailingPunctRegex);
-				if (punctMatch) {
-					trailing = punctMatch[1];
-					match = match.slice(0, -trailing.length);
+		return this.replaceLinks(segment, (link) => {
+			for (const pattern of this.musicPatterns) {
+				pattern.lastIndex = 0;
+				link = link.replace(pattern, (match) => {
+					this.log("converted to song.link:", match);
+					return `https://song.link/${encodeURIComponent(match)}`;
+				});
+			}
+			return link;
+		});
+	}
+
+	applyReplacements(segment, toggles = this.platformToggles) {
+		return this.replaceLinks(segment, (url) => {
+			let link = url;
+			// Custom rules first, in order, so a user rule for the same host wins
+			for (const entry of this.patternReplacements) {
+				if (!toggles[entry.key]) continue;
+				try {
+					link = this.applyReplacement(link, entry);
+				} catch (error) {
+					console.error(
+						`[EmbedFixer] Error in ${entry.name} replacement:`,
+						error
+					);
 				}
+			}
 
-				this.log("converted to song.link:", match);
-				return `https://song.link/${encodeURIComponent(match)}${trailing}`;
-			});
-		}
-		return segment;
+			// Then the built-in fixer for the link's host, if any
+			const parsed = this.parseLinkHost(link);
+			const entry = parsed && this.replacementsByHost.get(parsed.hostname);
+			if (!entry || !toggles[entry.key]) return link;
+			return entry.rewrite(parsed.path) ?? link;
+		});
 	}
 
-	applyReplacements(segment) {
-		// Filter to only enabled replacements
-		const activeReplacements = this.embedReplacements.filter(
-			({ key }) => this.platformToggles[key]
-		);
+	// Switch links that already go through a fixer service (vxtwitter.com, an unselected
+	// provider, ...) to the provider picked for their platform
+	normalizeFixerLinks(segment, toggles = this.platformToggles) {
+		return this.replaceLinks(segment, (url) => {
+			const link = this.parseLinkHost(url);
+			const entry = link && this.fixersByHost.get(link.hostname);
+			if (!entry || !toggles[entry.key] || link.hostname === entry.fixed) {
+				return url;
+			}
+			this.log("switched fixer", link.hostname, "to", entry.fixed);
+			return `https://${entry.fixed}${link.path}`;
+		});
+	}
 
-		if (activeReplacements.length === 0) return segment;
+	// Apply one embed replacement: built-ins by hostname, custom rules by pattern
+	applyReplacement(segment, entry) {
+		if (!entry.hosts) {
+			entry.pattern.lastIndex = 0;
+			return segment.replace(entry.pattern, entry.replacement);
+		}
+		return this.replaceLinks(segment, (url) => {
+			const link = this.parseLinkHost(url);
+			if (!link || !entry.hosts.includes(link.hostname)) return url;
+			return entry.rewrite(link.path) ?? url;
+		});
+	}
 
-		return activeReplacements.reduce((acc, { pattern, replacement, name }) => {
+	// Split a link into its normalized hostname (lowercase, punycode, no port or
+	// trailing dot) and everything after the host, kept as typed. null if invalid.
+	parseLinkHost(url) {
+		// Host dispatch and every transformer parse the same link, remember the last one
+		if (this.lastParsedLink?.url === url) return this.lastParsedLink.link;
+		const match = /^(https?:\/\/)([^/?#]*)([\s\S]*)$/i.exec(url);
+		let link = null;
+		// Most hosts are already normalized, new URL() is slow enough to matter here
+		if (match && /^[a-z\d.-]+$/.test(match[2])) {
+			link = { hostname: match[2].replace(/\.$/, ""), path: match[3] };
+		} else if (match) {
 			try {
-				pattern.lastIndex = 0;
-				return acc.replace(pattern, replacement);
-			} catch (error) {
-				console.error(`[EmbedFixer] Error in ${name} replacement:`, error);
-				return acc;
+				const { hostname } = new URL(match[1] + match[2]);
+				link = { hostname: hostname.replace(/\.$/, ""), path: match[3] };
+			} catch {
+				// Not a valid host, link stays null
 			}
-		}, segment);
+		}
+		this.lastParsedLink = { url, link };
+		return link;
 	}
 
-	processPaywalls(segment) {
-		this.paywallRegex.lastIndex = 0;
-		return segment.replace(
-			this.paywallRegex,
-			(match, urlCore, trailing, offset, src) => {
-				const before = src.slice(0, offset);
-				if (
-					/(?:archive\.is|removepaywall\.com|12ft\.io)\/?$/i.test(
-						before.slice(-40)
-					)
-				) {
-					return match;
-				}
-				if (
-					src.charAt(offset - 1) === "(" &&
-					trailing &&
-					trailing.startsWith(")")
-				) {
-					return match;
-				}
+	processPaywalls(segment, service = this.paywallService) {
+		return this.replaceLinks(segment, (url) => {
+			// Only articles (a path after the host) on paywalled sites or their
+			// subdomains. Already wrapped links are on the wrapper's host.
+			const link = this.parseLinkHost(url);
+			if (
+				!link ||
+				!/^\/./.test(link.path) ||
+				!this.isPaywalledHost(link.hostname)
+			) {
+				return url;
+			}
 
-				let wrapped;
-				switch (this.paywallService) {
-					case "removepaywall":
-						wrapped = `https://www.removepaywall.com/search?url=${encodeURIComponent(
-							urlCore
-						)}`;
-						break;
-					case "12ft":
-						wrapped = `https://12ft.io/${urlCore}`;
-						break;
-					default:
-						wrapped = `https://archive.is/${urlCore}`;
-				}
-				return `${wrapped}${trailing || ""}`;
+			switch (service) {
+				case "removepaywall":
+					return `https://www.removepaywall.com/search?url=${encodeURIComponent(
+						url
+					)}`;
+				case "12ft":
+					return `https://12ft.io/${url}`;
+				default:
+					return `https://archive.is/${url}`;
 			}
-		);
+		});
+	}
+
+	// Whether a hostname is a paywalled domain or one of its subdomains
+	isPaywalledHost(hostname) {
+		for (let domain = hostname; domain; ) {
+			if (this.paywalledHosts.has(domain)) return true;
+			const dot = domain.indexOf(".");
+			domain = dot === -1 ? "" : domain.slice(dot + 1);
+		}
+		return false;
 	}
 
 	processYouTubeShorts(segment) {
-		this.ytShortsPattern.lastIndex = 0;
-		return segment.replace(this.ytShortsPattern, (m, id, queryParams) => {
-			const params = queryParams || "";
-			const paramString =
-				params && params.length > 1 ? "&" + params.substring(1) : "";
-			this.log("converted youtube shorts -> full player");
-			return `https://youtube.com/watch?v=${id}${paramString}`;
+		return this.replaceLinks(segment, (link) => {
+			this.ytShortsPattern.lastIndex = 0;
+			return link.replace(this.ytShortsPattern, (m, id, queryParams) => {
+				const params = queryParams || "";
+				const paramString =
+					params && params.length > 1 ? "&" + params.substring(1) : "";
+				this.log("converted youtube shorts -> full player");
+				return `https://youtube.com/watch?v=${id}${paramString}`;
+			});
 		});
 	}
 
 	stop() {
 		try {
-			const messageModule = BdApi.Webpack.getByKeys(
-				"sendMessage",
-				"editMessage"
-			);
-			if (messageModule) {
-				if (this.originalSendMessage) {
-					messageModule.sendMessage = this.originalSendMessage;
-				}
-				if (this.originalEditMessage) {
-					messageModule.editMessage = this.originalEditMessage;
-				}
-				this.log("plugin stopped successfully");
-			}
+			clearInterval(this.ruleListTimer);
+			this.ruleListTimer = null;
+			this.flushMessageCache();
+			// Stop waiting for modules that haven't loaded, then remove every hook
+			this.hookAbort?.abort();
+			this.hookAbort = null;
+			this.patchStatus.clear();
+			this.contextMenuPatches?.forEach((unpatch) => unpatch());
+			this.contextMenuPatches = [];
+			BdApi.Patcher.unpatchAll("EmbedFixer");
+			this.unpatchComposerPaste?.();
+			this.log("plugin stopped successfully");
 		} catch (error) {
 			console.error("[EmbedFixer] Error stopping plugin:", error);
 		}
@@ -1050,6 +4090,53 @@ module.exports = class EmbedFixer {
 			return row;
 		};
 
+		// Helper to create a toggle row bound to a general setting on the plugin
+		const createSettingToggle = (label, property, description) => {
+			const row = createToggle(label, null, description);
+			const toggle = row.lastChild;
+			toggle.checked = Boolean(this[property]);
+			toggle.onchange = () => {
+				this[property] = toggle.checked;
+				this.saveSettings();
+			};
+			return row;
+		};
+
+		// Helper to create a toggle row with a fixer provider dropdown
+		const createProviderToggle = (label, key) => {
+			const row = createToggle(label, key);
+			const entry = this.embedReplacements?.find((e) => e.key === key);
+			const providers = entry?.providers ?? [];
+
+			const providerSelect = document.createElement("select");
+			providerSelect.style.padding = "4px 8px";
+			providerSelect.style.marginRight = "12px";
+			providerSelect.style.borderRadius = "4px";
+			providerSelect.style.border =
+				"1px solid var(--background-modifier-accent)";
+			providerSelect.style.background = "var(--background-secondary)";
+			providerSelect.style.color = "var(--text-normal)";
+			providerSelect.disabled = providers.length < 2;
+
+			providers.forEach((domain) => {
+				const opt = document.createElement("option");
+				opt.value = domain;
+				opt.textContent = domain;
+				providerSelect.appendChild(opt);
+			});
+
+			providerSelect.value = entry?.fixed ?? providers[0];
+			providerSelect.onchange = () => {
+				this.providerSelections[key] = providerSelect.value;
+				this.compileRegexes();
+				this.saveSettings();
+			};
+
+			// Insert before the checkbox
+			row.insertBefore(providerSelect, row.lastChild);
+			return row;
+		};
+
 		// Debug mode toggle
 		panel.appendChild(createHeader("General Settings"));
 
@@ -1064,20 +4151,132 @@ module.exports = class EmbedFixer {
 		debugLabel.textContent = "Debug Logging";
 		debugLabel.style.fontWeight = "500";
 
-		const debugToggle = document.createElement("input");
-		debugToggle.type = "checkbox";
-		debugToggle.checked = this.debugMode;
-		debugToggle.style.width = "20px";
-		debugToggle.style.height = "20px";
-		debugToggle.style.cursor = "pointer";
-		debugToggle.onchange = () => {
-			this.debugMode = debugToggle.checked;
+		const debugToggle = document.createElement("input");
+		debugToggle.type = "checkbox";
+		debugToggle.checked = this.debugMode;
+		debugToggle.style.width = "20px";
+		debugToggle.style.height = "20px";
+		debugToggle.style.cursor = "pointer";
+		debugToggle.onchange = () => {
+			this.debugMode = debugToggle.checked;
+			this.saveSettings();
+		};
+
+		debugRow.appendChild(debugLabel);
+		debugRow.appendChild(debugToggle);
+		panel.appendChild(debugRow);
+
+		panel.appendChild(
+			createSettingToggle(
+				"Review Links Before Sending",
+				"confirmBeforeSend",
+				"Show every rewritten link and pick which changes to keep"
+			)
+		);
+
+		panel.appendChild(
+			createSettingToggle(
+				"Show Original Link Text",
+				"maskFixedLinks",
+				"Send fixed links as [original link](fixed link) so the message still shows where it goes"
+			)
+		);
+
+		panel.appendChild(
+			createSettingToggle(
+				"Skip Quoted Text",
+				"skipQuotes",
+				"Leave links in > block quotes exactly as they were quoted"
+			)
+		);
+
+		// Undo notice duration
+		const undoRow = createToggle(
+			"Undo Notice (seconds)",
+			null,
+			"How long the Undo button stays after a message is rewritten, off (0) by default"
+		);
+		const undoInput = document.createElement("input");
+		undoInput.type = "number";
+		undoInput.min = "0";
+		undoInput.max = "60";
+		undoInput.value = String(this.undoSeconds);
+		undoInput.style.width = "60px";
+		undoInput.style.padding = "4px 8px";
+		undoInput.style.borderRadius = "4px";
+		undoInput.style.border = "1px solid var(--background-modifier-accent)";
+		undoInput.style.background = "var(--background-secondary)";
+		undoInput.style.color = "var(--text-normal)";
+		undoInput.onchange = () => {
+			const seconds = Math.round(Number(undoInput.value));
+			this.undoSeconds = Number.isFinite(seconds)
+				? Math.min(Math.max(seconds, 0), 60)
+				: 0;
+			undoInput.value = String(this.undoSeconds);
 			this.saveSettings();
 		};
+		undoRow.replaceChild(undoInput, undoRow.lastChild);
+		panel.appendChild(undoRow);
 
-		debugRow.appendChild(debugLabel);
-		debugRow.appendChild(debugToggle);
-		panel.appendChild(debugRow);
+		// Raw message prefix
+		const rawRow = createToggle(
+			"Raw Message Prefix",
+			null,
+			'Messages starting with this are sent unmodified (prefix removed), empty to disable. Put "!" right before a link to skip only that link'
+		);
+		const rawInput = document.createElement("input");
+		rawInput.type = "text";
+		rawInput.maxLength = 20;
+		rawInput.value = this.rawPrefix;
+		rawInput.style.width = "80px";
+		rawInput.style.padding = "4px 8px";
+		rawInput.style.borderRadius = "4px";
+		rawInput.style.border = "1px solid var(--background-modifier-accent)";
+		rawInput.style.background = "var(--background-secondary)";
+		rawInput.style.color = "var(--text-normal)";
+		rawInput.onchange = () => {
+			this.rawPrefix = rawInput.value;
+			this.saveSettings();
+		};
+		rawRow.replaceChild(rawInput, rawRow.lastChild);
+		panel.appendChild(rawRow);
+
+		// Asks for consent before turning on, the fixed links point at third-party services
+		const incomingRow = createSettingToggle(
+			"Fix Links From Others",
+			"fixIncomingLinks",
+			"Show previews of fixed links under other people's messages, only on your screen. Opening one connects to the fixer service your EmbedFixer settings pick for that site, which sees your IP address"
+		);
+		const incomingToggle = incomingRow.lastChild;
+		incomingToggle.onchange = () => {
+			if (!incomingToggle.checked) {
+				this.fixIncomingLinks = false;
+				this.saveSettings();
+				return;
+			}
+			incomingToggle.checked = false;
+			BdApi.UI.showConfirmationModal(
+				"EmbedFixer - Fix Links From Others",
+				"Links in other people's messages that Discord shows no preview for get a preview of the fixed link. Discord's servers fetch it and media loads through Discord's media proxy, EmbedFixer never connects to these services by itself, but opening a preview's link connects to the fixer service your own EmbedFixer settings pick for that site (provider selection, custom rules and rule lists), which can see your IP address. Turn this on?",
+				{
+					confirmText: "Turn On",
+					onConfirm: () => {
+						incomingToggle.checked = true;
+						this.fixIncomingLinks = true;
+						this.saveSettings();
+					},
+				}
+			);
+		};
+		panel.appendChild(incomingRow);
+
+		panel.appendChild(
+			createSettingToggle(
+				"Fix Links on Paste",
+				"fixOnPaste",
+				"Fix pasted links in the message box so you see them before sending (Shift+paste keeps the raw text)"
+			)
+		);
 
 		// Paywall service selector
 		const paywallRow = document.createElement("div");
@@ -1099,11 +4298,7 @@ module.exports = class EmbedFixer {
 		paywallSelect.style.background = "var(--background-secondary)";
 		paywallSelect.style.color = "var(--text-normal)";
 
-		[
-			{ value: "archive", text: "Archive.is" },
-			{ value: "removepaywall", text: "RemovePaywall.com" },
-			{ value: "12ft", text: "12ft.io" },
-		].forEach(({ value, text }) => {
+		this.getPaywallServices().forEach(({ value, text }) => {
 			const opt = document.createElement("option");
 			opt.value = value;
 			opt.textContent = text;
@@ -1142,20 +4337,16 @@ module.exports = class EmbedFixer {
 
 		// Embed Fixers section
 		panel.appendChild(createHeader("Social Media Embed Fixers"));
-		panel.appendChild(createToggle("X/Twitter", "twitter", "fixupx.com"));
-		panel.appendChild(createToggle("Reddit", "reddit", "rxddit.com"));
-		panel.appendChild(createToggle("TikTok", "tiktok", "tnktok.com"));
-		panel.appendChild(
-			createToggle("Instagram", "instagram", "ddinstagram.com")
-		);
-		panel.appendChild(createToggle("Bluesky", "bluesky", "bsyy.app"));
-		panel.appendChild(createToggle("Threads", "threads", "fixthreads.net"));
-		panel.appendChild(createToggle("Pixiv", "pixiv", "phixiv.net"));
-		panel.appendChild(createToggle("Twitch Clips", "twitch", "fxtwitch.tv"));
-		panel.appendChild(createToggle("Tumblr", "tumblr", "tpmblr.com"));
-		panel.appendChild(
-			createToggle("DeviantArt", "deviantart", "fixdeviantart.com")
-		);
+		panel.appendChild(createProviderToggle("X/Twitter", "twitter"));
+		panel.appendChild(createProviderToggle("Reddit", "reddit"));
+		panel.appendChild(createProviderToggle("TikTok", "tiktok"));
+		panel.appendChild(createProviderToggle("Instagram", "instagram"));
+		panel.appendChild(createProviderToggle("Bluesky", "bluesky"));
+		panel.appendChild(createProviderToggle("Threads", "threads"));
+		panel.appendChild(createProviderToggle("Pixiv", "pixiv"));
+		panel.appendChild(createProviderToggle("Twitch Clips", "twitch"));
+		panel.appendChild(createProviderToggle("Tumblr", "tumblr"));
+		panel.appendChild(createProviderToggle("DeviantArt", "deviantart"));
 
 		// Media & Content section
 		panel.appendChild(createHeader("Media & Content"));
@@ -1187,6 +4378,1022 @@ module.exports = class EmbedFixer {
 			createToggle("Song.link", "songLink", "Universal music links")
 		);
 
+		// Steps other plugins registered with a toggleKey
+		const registered = this.getRegisteredToggles();
+		if (registered.length > 0) {
+			panel.appendChild(createHeader("Other Plugins"));
+			for (const [key, name] of registered) {
+				panel.appendChild(createToggle(name, key, "Added by another plugin"));
+			}
+		}
+
+		// Custom Rules section
+		panel.appendChild(createHeader("Custom Rules"));
+		panel.appendChild(this.createCustomRulesEditor());
+
+		// Rule list subscriptions section
+		panel.appendChild(createHeader("Rule Lists"));
+		panel.appendChild(this.createRuleListsEditor());
+
+		// Pipeline order section
+		panel.appendChild(createHeader("Pipeline Order"));
+		panel.appendChild(this.createPipelineOrderEditor());
+
+		// Scoped overrides section
+		panel.appendChild(createHeader("Server & Channel Overrides"));
+		panel.appendChild(this.createOverridesEditor());
+
+		// Which hooks are active in this Discord build
+		panel.appendChild(createHeader("Message Paths"));
+		panel.appendChild(this.createPatchStatusSection());
+
+		// Statistics section
+		panel.appendChild(createHeader("Statistics"));
+		panel.appendChild(this.createStatisticsSection());
+
+		// Import / export section
+		panel.appendChild(createHeader("Import & Export"));
+		panel.appendChild(this.createBackupSection(panel));
+
 		return panel;
 	}
+
+	// Status line with the active hooks, then one row per hook with its state
+	createPatchStatusSection() {
+		const container = document.createElement("div");
+
+		if (this.patchStatus.size === 0) {
+			const empty = document.createElement("div");
+			empty.textContent = "Enable the plugin to see which hooks are active.";
+			empty.style.color = "var(--text-muted)";
+			container.appendChild(empty);
+			return container;
+		}
+
+		const hooks = [...this.patchStatus.values()];
+		const active = hooks.filter(({ state }) => state === "active");
+		const statusLine = document.createElement("div");
+		statusLine.textContent =
+			active.length === hooks.length
+				? `All ${hooks.length} hooks active`
+				: `${active.length} of ${hooks.length} hooks active: ${
+						active.map(({ name }) => name).join(", ") || "none"
+				  }`;
+		statusLine.style.fontWeight = "500";
+		statusLine.style.color =
+			active.length === hooks.length
+				? "var(--text-positive)"
+				: "var(--text-warning)";
+		container.appendChild(statusLine);
+
+		const help = document.createElement("div");
+		help.textContent =
+			"Links are fixed wherever a hook is active. Waiting hooks are patched once Discord loads their code, a missing one usually means Discord changed it. Forwarded messages aren't covered: Discord forwards a copy of the original message that can't be changed, a comment added to a forward is sent as a regular message and fixed.";
+		help.style.fontSize = "12px";
+		help.style.color = "var(--text-muted)";
+		help.style.margin = "4px 0 8px";
+		container.appendChild(help);
+
+		const states = {
+			active: { label: "Active", color: "var(--text-positive)" },
+			waiting: { label: "Waiting", color: "var(--text-warning)" },
+			missing: { label: "Not found", color: "var(--text-danger)" },
+		};
+		for (const { name, state } of hooks) {
+			const row = document.createElement("div");
+			row.style.display = "flex";
+			row.style.justifyContent = "space-between";
+			row.style.padding = "4px 0";
+			row.style.borderBottom = "1px solid var(--background-modifier-accent)";
+			const labelText = document.createElement("div");
+			labelText.textContent = name;
+			const statusText = document.createElement("div");
+			statusText.textContent = states[state].label;
+			statusText.style.fontWeight = "500";
+			statusText.style.color = states[state].color;
+			row.appendChild(labelText);
+			row.appendChild(statusText);
+			container.appendChild(row);
+		}
+		return container;
+	}
+
+	// Local statistics dashboard with date ranges and reset
+	createStatisticsSection() {
+		const container = document.createElement("div");
+
+		const help = document.createElement("div");
+		help.textContent =
+			"Counted on this machine only, statistics are never sent anywhere.";
+		help.style.fontSize = "12px";
+		help.style.color = "var(--text-muted)";
+		help.style.marginBottom = "8px";
+		container.appendChild(help);
+
+		const ranges = [
+			{ label: "Today", days: 1 },
+			{ label: "7 Days", days: 7 },
+			{ label: "All Time", days: null },
+		];
+		let selectedRange = ranges[2];
+
+		const toolbar = document.createElement("div");
+		toolbar.style.display = "flex";
+		toolbar.style.gap = "6px";
+		toolbar.style.marginBottom = "8px";
+		container.appendChild(toolbar);
+
+		const body = document.createElement("div");
+		container.appendChild(body);
+
+		const platformNames = { youtubeShorts: "YouTube Shorts" };
+		for (const { key, name } of this.embedReplacements ?? []) {
+			platformNames[key] = name;
+		}
+
+		const createStatRow = (label, value) => {
+			const row = document.createElement("div");
+			row.style.display = "flex";
+			row.style.justifyContent = "space-between";
+			row.style.padding = "4px 0";
+			row.style.borderBottom = "1px solid var(--background-modifier-accent)";
+			const labelText = document.createElement("div");
+			labelText.textContent = label;
+			const valueText = document.createElement("div");
+			valueText.textContent = String(value);
+			valueText.style.fontWeight = "500";
+			row.appendChild(labelText);
+			row.appendChild(valueText);
+			return row;
+		};
+
+		const createSubheader = (text) => {
+			const subheader = document.createElement("div");
+			subheader.textContent = text;
+			subheader.style.fontWeight = "600";
+			subheader.style.marginTop = "8px";
+			return subheader;
+		};
+
+		const sortedEntries = (counts) =>
+			Object.entries(counts).sort(([, a], [, b]) => b - a);
+		const sum = (counts) => Object.values(counts).reduce((a, b) => a + b, 0);
+
+		const render = () => {
+			toolbar.replaceChildren();
+			for (const range of ranges) {
+				const button = this.createButton(range.label, () => {
+					selectedRange = range;
+					render();
+				});
+				if (range === selectedRange) {
+					button.style.background = "var(--brand-500, var(--brand-experiment))";
+					button.style.color = "white";
+				}
+				toolbar.appendChild(button);
+			}
+			toolbar.appendChild(
+				this.createButton("Reset", () =>
+					BdApi.UI.showConfirmationModal(
+						"EmbedFixer - Reset Statistics",
+						"Delete all collected statistics? This can't be undone.",
+						{
+							danger: true,
+							confirmText: "Reset",
+							onConfirm: () => {
+								this.resetStats();
+								render();
+							},
+						}
+					)
+				)
+			);
+
+			const stats = this.getStats(selectedRange.days);
+			body.replaceChildren();
+
+			body.appendChild(createSubheader("Links fixed"));
+			const platforms = sortedEntries(stats.platforms);
+			if (platforms.length === 0) {
+				body.appendChild(createStatRow("No links fixed yet", 0));
+			}
+			for (const [key, count] of platforms) {
+				body.appendChild(createStatRow(platformNames[key] ?? key, count));
+			}
+
+			body.appendChild(createSubheader("Cleaning"));
+			body.appendChild(
+				createStatRow("Tracking parameters stripped", sum(stats.trackingParams))
+			);
+			body.appendChild(createStatRow("AMP wrappers removed", stats.ampLinks));
+			body.appendChild(
+				createStatRow("Amazon links cleaned", stats.amazonClean)
+			);
+			body.appendChild(createStatRow("Paywalls wrapped", stats.paywall));
+			body.appendChild(createStatRow("Song.links made", stats.songLink));
+
+			const params = sortedEntries(stats.trackingParams).slice(0, 10);
+			if (params.length > 0) {
+				body.appendChild(createSubheader("Top tracking parameters"));
+				for (const [name, count] of params) {
+					body.appendChild(createStatRow(name, count));
+				}
+			}
+		};
+
+		render();
+		return container;
+	}
+
+	// Export and import buttons for the settings document
+	createBackupSection(panel) {
+		const container = document.createElement("div");
+		container.style.display = "flex";
+		container.style.gap = "8px";
+
+		const exportButton = this.createButton("Export Settings", () => {
+			const json = JSON.stringify(this.exportSettings(), null, "\t");
+			const url = URL.createObjectURL(
+				new Blob([json], { type: "application/json" })
+			);
+			const link = document.createElement("a");
+			link.href = url;
+			link.download = "EmbedFixer-settings.json";
+			link.click();
+			setTimeout(() => URL.revokeObjectURL(url), 1000);
+		});
+
+		const fileInput = document.createElement("input");
+		fileInput.type = "file";
+		fileInput.accept = ".json,application/json";
+		fileInput.style.display = "none";
+		fileInput.onchange = async () => {
+			const file = fileInput.files?.[0];
+			fileInput.value = "";
+			if (!file) return;
+
+			let doc;
+			let errors;
+			try {
+				doc = JSON.parse(await file.text());
+			} catch (e) {
+				errors = [`File is not valid JSON: ${e.message}`];
+			}
+			if (!errors) {
+				try {
+					errors = this.importSettings(doc);
+				} catch (e) {
+					console.error("[EmbedFixer] Error importing settings:", e);
+					errors = [`Could not apply the settings: ${e.message}`];
+				}
+			}
+
+			if (errors.length > 0) {
+				BdApi.UI.alert(
+					"EmbedFixer - Import Failed",
+					BdApi.React.createElement(
+						"div",
+						{ style: { color: "var(--text-normal)" } },
+						BdApi.React.createElement(
+							"p",
+							null,
+							"Nothing was changed. Fix these fields and try again:"
+						),
+						BdApi.React.createElement(
+							"ul",
+							{ style: { listStyle: "disc", paddingLeft: "20px" } },
+							errors.map((error) =>
+								BdApi.React.createElement("li", { key: error }, error)
+							)
+						)
+					)
+				);
+				return;
+			}
+
+			BdApi.UI.showToast("EmbedFixer: Settings imported", {
+				type: "success",
+			});
+			// Rebuild the panel so every control shows the imported values
+			panel.replaceWith(this.getSettingsPanel());
+		};
+
+		const importButton = this.createButton("Import Settings", () =>
+			fileInput.click()
+		);
+
+		container.appendChild(exportButton);
+		container.appendChild(importButton);
+		container.appendChild(fileInput);
+		return container;
+	}
+
+	// Small styled select used by the settings panel editors
+	createSelect(options, value, onChange) {
+		const select = document.createElement("select");
+		select.style.padding = "4px 8px";
+		select.style.borderRadius = "4px";
+		select.style.border = "1px solid var(--background-modifier-accent)";
+		select.style.background = "var(--background-secondary)";
+		select.style.color = "var(--text-normal)";
+		options.forEach(({ value: optionValue, text }) => {
+			const opt = document.createElement("option");
+			opt.value = optionValue;
+			opt.textContent = text;
+			select.appendChild(opt);
+		});
+		select.value = value;
+		select.onchange = () => onChange(select.value);
+		return select;
+	}
+
+	// Manage rule list subscriptions (URLs and local files)
+	createRuleListsEditor() {
+		const container = document.createElement("div");
+
+		const help = document.createElement("div");
+		help.textContent =
+			"Subscribe to shared rule lists with host replacements, tracking parameters, " +
+			"paywall and AMP domains. Lists must be signed with the key you pin here (ask the list's publisher). " +
+			"They update when they expire, and a failed update keeps the last good copy.";
+		help.style.fontSize = "12px";
+		help.style.color = "var(--text-muted)";
+		help.style.marginBottom = "8px";
+		container.appendChild(help);
+
+		const list = document.createElement("div");
+		container.appendChild(list);
+
+		const removeList = (source) => {
+			this.ruleLists = this.ruleLists.filter((l) => l.source !== source);
+			delete this.ruleListCache[source];
+			this.compileRegexes();
+			this.saveSettings();
+		};
+
+		const render = () => {
+			list.replaceChildren();
+			for (const subscription of this.ruleLists) {
+				const { source } = subscription;
+				const cached = this.ruleListCache[source];
+
+				const row = document.createElement("div");
+				row.style.display = "flex";
+				row.style.alignItems = "center";
+				row.style.gap = "6px";
+				row.style.padding = "8px 0";
+				row.style.borderBottom = "1px solid var(--background-modifier-accent)";
+
+				const enabled = document.createElement("input");
+				enabled.type = "checkbox";
+				enabled.checked = subscription.enabled;
+				enabled.style.width = "20px";
+				enabled.style.height = "20px";
+				enabled.style.cursor = "pointer";
+				enabled.onchange = () => {
+					subscription.enabled = enabled.checked;
+					this.compileRegexes();
+					this.saveSettings();
+				};
+
+				const info = document.createElement("div");
+				info.style.flex = "1";
+				info.style.minWidth = "0";
+
+				const title = document.createElement("div");
+				title.textContent = cached?.document
+					? `${cached.document.name} (v${cached.document.version})`
+					: "Not loaded yet";
+				title.style.fontWeight = "500";
+				info.appendChild(title);
+
+				const details = document.createElement("div");
+				details.style.fontSize = "12px";
+				details.style.color = "var(--text-muted)";
+				details.style.wordBreak = "break-all";
+				details.textContent = cached?.fetchedAt
+					? `${source} - updated ${new Date(cached.fetchedAt).toLocaleString()}`
+					: source;
+				info.appendChild(details);
+
+				if (cached?.error) {
+					const error = document.createElement("div");
+					error.style.fontSize = "12px";
+					error.style.color = "var(--text-danger)";
+					error.textContent = `Last update failed: ${cached.error}`;
+					info.appendChild(error);
+				}
+
+				row.appendChild(enabled);
+				row.appendChild(info);
+				if (!source.startsWith("file:")) {
+					row.appendChild(
+						this.createButton("Refresh", async () => {
+							await this.refreshRuleList(source);
+							render();
+						})
+					);
+				}
+				row.appendChild(
+					this.createButton("Remove", () => {
+						removeList(source);
+						render();
+					})
+				);
+				list.appendChild(row);
+			}
+		};
+
+		const addRow = document.createElement("div");
+		addRow.style.display = "flex";
+		addRow.style.alignItems = "center";
+		addRow.style.gap = "6px";
+		addRow.style.marginTop = "8px";
+
+		const urlInput = document.createElement("input");
+		urlInput.type = "text";
+		urlInput.placeholder = "https://example.com/embedfixer-rules.json";
+		urlInput.style.flex = "1";
+		urlInput.style.padding = "4px 8px";
+		urlInput.style.borderRadius = "4px";
+		urlInput.style.border = "1px solid var(--background-modifier-accent)";
+		urlInput.style.background = "var(--background-secondary)";
+		urlInput.style.color = "var(--text-normal)";
+
+		const keyInput = urlInput.cloneNode();
+		keyInput.placeholder = "Signing key (base64 public key)";
+
+		const subscribeButton = this.createButton("Subscribe", async () => {
+			const source = urlInput.value.trim();
+			const publicKey = keyInput.value.replace(/\s+/g, "");
+			if (!/^https:\/\/\S+$/.test(source)) {
+				BdApi.UI.showToast(
+					"EmbedFixer: Rule list URL must start with https://",
+					{
+						type: "error",
+					}
+				);
+				return;
+			}
+			if (!/^[A-Za-z0-9+/]+={0,2}$/.test(publicKey)) {
+				BdApi.UI.showToast(
+					"EmbedFixer: Paste the list's signing key to subscribe",
+					{ type: "error" }
+				);
+				return;
+			}
+			if (this.ruleLists.some((l) => l.source === source)) {
+				BdApi.UI.showToast("EmbedFixer: Already subscribed to that list", {
+					type: "error",
+				});
+				return;
+			}
+			this.ruleLists.push({ source, enabled: true, publicKey });
+			this.saveSettings();
+			const ok = await this.refreshRuleList(source);
+			BdApi.UI.showToast(
+				ok
+					? "EmbedFixer: Rule list added"
+					: "EmbedFixer: Subscribed, but the list could not be loaded yet",
+				{ type: ok ? "success" : "warning" }
+			);
+			urlInput.value = "";
+			keyInput.value = "";
+			render();
+		});
+
+		const fileInput = document.createElement("input");
+		fileInput.type = "file";
+		fileInput.accept = ".json,application/json";
+		fileInput.style.display = "none";
+		fileInput.onchange = async () => {
+			const file = fileInput.files?.[0];
+			fileInput.value = "";
+			if (!file) return;
+
+			const source = `file:${file.name}`;
+			try {
+				await this.acceptRuleList(source, JSON.parse(await file.text()));
+				if (!this.ruleLists.some((l) => l.source === source)) {
+					this.ruleLists.push({ source, enabled: true });
+					this.compileRegexes();
+					this.saveSettings();
+				}
+				BdApi.UI.showToast("EmbedFixer: Rule list loaded", { type: "success" });
+			} catch (error) {
+				BdApi.UI.showToast(`EmbedFixer: ${error.message}`, { type: "error" });
+			}
+			render();
+		};
+
+		addRow.appendChild(urlInput);
+		addRow.appendChild(keyInput);
+		addRow.appendChild(subscribeButton);
+		addRow.appendChild(this.createButton("Load File", () => fileInput.click()));
+		addRow.appendChild(fileInput);
+		container.appendChild(addRow);
+
+		render();
+		return container;
+	}
+
+	// Reorder the transformer pipeline
+	createPipelineOrderEditor() {
+		const container = document.createElement("div");
+
+		const help = document.createElement("div");
+		help.textContent =
+			"Steps run top to bottom on every link. For example, move Paywall bypass above " +
+			"Embed fixers to send Medium articles through your paywall service instead of scribe.rip.";
+		help.style.fontSize = "12px";
+		help.style.color = "var(--text-muted)";
+		help.style.marginBottom = "8px";
+		container.appendChild(help);
+
+		const list = document.createElement("div");
+		container.appendChild(list);
+
+		const render = () => {
+			list.replaceChildren();
+			const ordered = this.getOrderedTransformers();
+			ordered.forEach((transformer, index) => {
+				const row = document.createElement("div");
+				row.style.display = "flex";
+				row.style.alignItems = "center";
+				row.style.gap = "6px";
+				row.style.padding = "4px 0";
+				row.style.borderBottom = "1px solid var(--background-modifier-accent)";
+
+				const label = document.createElement("div");
+				label.textContent = `${index + 1}. ${transformer.name}${
+					transformer.builtin ? "" : " (plugin)"
+				}`;
+				label.style.flex = "1";
+				row.appendChild(label);
+
+				const kind = document.createElement("div");
+				kind.textContent = transformer.kind;
+				kind.title =
+					transformer.kind === "privacy"
+						? "Also runs on <suppressed> links"
+						: "Skipped on <suppressed> links";
+				kind.style.fontSize = "12px";
+				kind.style.color = "var(--text-muted)";
+				row.appendChild(kind);
+
+				const move = (offset) => {
+					const target = index + offset;
+					if (target < 0 || target >= ordered.length) return;
+					const ids = ordered.map(({ id }) => id);
+					[ids[index], ids[target]] = [ids[target], ids[index]];
+					// Pin the whole order so later registrations can't reshuffle it
+					this.transformerPriorities = Object.fromEntries(
+						ids.map((id, i) => [id, (i + 1) * 100])
+					);
+					this.saveSettings();
+					render();
+				};
+
+				row.appendChild(this.createButton("↑", () => move(-1)));
+				row.appendChild(this.createButton("↓", () => move(1)));
+				list.appendChild(row);
+			});
+		};
+
+		const resetButton = this.createButton("Reset Order", () => {
+			this.transformerPriorities = {};
+			this.saveSettings();
+			render();
+		});
+		resetButton.style.marginTop = "8px";
+
+		render();
+		container.appendChild(resetButton);
+		return container;
+	}
+
+	// Editor listing every scoped override, plus a row to add new ones
+	createOverridesEditor() {
+		const container = document.createElement("div");
+		const GuildStore = BdApi.Webpack.getByKeys("getGuild", "getGuildCount");
+
+		const help = document.createElement("div");
+		help.textContent =
+			"Overrides apply on top of the settings above: first the server (or all DMs), then the channel. " +
+			"Right-click a server, channel or DM to set overrides quickly.";
+		help.style.fontSize = "12px";
+		help.style.color = "var(--text-muted)";
+		help.style.marginBottom = "8px";
+		container.appendChild(help);
+
+		const labels = { paywallService: "Paywall Service" };
+		for (const { toggles } of this.getToggleGroups()) {
+			for (const [key, label] of toggles) labels[key] = label;
+		}
+
+		const onOff = [
+			{ value: "true", text: "On" },
+			{ value: "false", text: "Off" },
+		];
+		const valueOptions = (key) =>
+			key === "paywallService" ? this.getPaywallServices() : onOff;
+		const parseValue = (key, value) =>
+			key === "paywallService" ? value : value === "true";
+
+		const describeScope = (scope) => {
+			if (scope.type === "dm") return "All DMs";
+			if (scope.type === "guild") {
+				const name = GuildStore?.getGuild(scope.id)?.name;
+				return `Server: ${name ?? scope.id}`;
+			}
+			const channel = this.ChannelStore?.getChannel(scope.id);
+			const name = channel?.name || (channel && "Direct Message");
+			return `Channel: ${name ? `${name} (${scope.id})` : scope.id}`;
+		};
+
+		const list = document.createElement("div");
+		container.appendChild(list);
+
+		const render = () => {
+			list.replaceChildren();
+			const scopes = [
+				...Object.keys(this.scopedOverrides.guilds).map((id) => ({
+					type: "guild",
+					id,
+				})),
+				...Object.keys(this.scopedOverrides.channels).map((id) => ({
+					type: "channel",
+					id,
+				})),
+			];
+			if (Object.keys(this.scopedOverrides.dm).length > 0) {
+				scopes.unshift({ type: "dm" });
+			}
+
+			if (scopes.length === 0) {
+				const empty = document.createElement("div");
+				empty.textContent = "No overrides yet.";
+				empty.style.color = "var(--text-muted)";
+				empty.style.padding = "8px 0";
+				list.appendChild(empty);
+			}
+
+			for (const scope of scopes) {
+				const box = document.createElement("div");
+				box.style.padding = "8px";
+				box.style.marginBottom = "8px";
+				box.style.borderRadius = "4px";
+				box.style.border = "1px solid var(--background-modifier-accent)";
+
+				const titleRow = document.createElement("div");
+				titleRow.style.display = "flex";
+				titleRow.style.alignItems = "center";
+				titleRow.style.justifyContent = "space-between";
+				titleRow.style.marginBottom = "4px";
+
+				const title = document.createElement("div");
+				title.textContent = describeScope(scope);
+				title.style.fontWeight = "500";
+				titleRow.appendChild(title);
+				titleRow.appendChild(
+					this.createButton("Clear", () => {
+						this.clearScopeOverrides(scope);
+						render();
+					})
+				);
+				box.appendChild(titleRow);
+
+				for (const [key, value] of Object.entries(
+					this.getScopeOverrides(scope)
+				)) {
+					const row = document.createElement("div");
+					row.style.display = "flex";
+					row.style.alignItems = "center";
+					row.style.gap = "6px";
+					row.style.padding = "4px 0";
+
+					const label = document.createElement("div");
+					label.textContent = labels[key] ?? key;
+					label.style.flex = "1";
+					row.appendChild(label);
+					row.appendChild(
+						this.createSelect(valueOptions(key), String(value), (newValue) =>
+							this.setScopeOverride(scope, key, parseValue(key, newValue))
+						)
+					);
+					row.appendChild(
+						this.createButton("✕", () => {
+							this.setScopeOverride(scope, key, undefined);
+							render();
+						})
+					);
+					box.appendChild(row);
+				}
+				list.appendChild(box);
+			}
+		};
+
+		// Add override row: scope type, ID, setting, value
+		const addRow = document.createElement("div");
+		addRow.style.display = "flex";
+		addRow.style.flexWrap = "wrap";
+		addRow.style.alignItems = "center";
+		addRow.style.gap = "6px";
+
+		let scopeType = "guild";
+		let settingKey = "trackingParams";
+		let settingValue = "true";
+
+		const idInput = document.createElement("input");
+		idInput.type = "text";
+		idInput.placeholder = "Server or channel ID";
+		idInput.style.padding = "4px 8px";
+		idInput.style.borderRadius = "4px";
+		idInput.style.border = "1px solid var(--background-modifier-accent)";
+		idInput.style.background = "var(--background-secondary)";
+		idInput.style.color = "var(--text-normal)";
+
+		const scopeSelect = this.createSelect(
+			[
+				{ value: "guild", text: "Server" },
+				{ value: "channel", text: "Channel" },
+				{ value: "dm", text: "All DMs" },
+			],
+			scopeType,
+			(value) => {
+				scopeType = value;
+				idInput.style.display = value === "dm" ? "none" : "";
+			}
+		);
+
+		let valueSelect = this.createSelect(
+			valueOptions(settingKey),
+			settingValue,
+			(value) => (settingValue = value)
+		);
+		const settingSelect = this.createSelect(
+			Object.entries(labels).map(([value, text]) => ({ value, text })),
+			settingKey,
+			(value) => {
+				settingKey = value;
+				settingValue = valueOptions(value)[0].value;
+				const replacement = this.createSelect(
+					valueOptions(value),
+					settingValue,
+					(newValue) => (settingValue = newValue)
+				);
+				valueSelect.replaceWith(replacement);
+				valueSelect = replacement;
+			}
+		);
+
+		const addButton = this.createButton("Add Override", () => {
+			const id = idInput.value.trim();
+			if (scopeType !== "dm" && !/^\d{15,21}$/.test(id)) {
+				BdApi.UI.showToast("EmbedFixer: Enter a valid server or channel ID", {
+					type: "error",
+				});
+				return;
+			}
+			this.setScopeOverride(
+				{ type: scopeType, id },
+				settingKey,
+				parseValue(settingKey, settingValue)
+			);
+			render();
+		});
+
+		addRow.appendChild(scopeSelect);
+		addRow.appendChild(idInput);
+		addRow.appendChild(settingSelect);
+		addRow.appendChild(valueSelect);
+		addRow.appendChild(addButton);
+		container.appendChild(addRow);
+
+		render();
+		return container;
+	}
+
+	// Small styled button used by the settings panel editors
+	createButton(text, onClick) {
+		const button = document.createElement("button");
+		button.textContent = text;
+		button.style.padding = "4px 10px";
+		button.style.borderRadius = "4px";
+		button.style.border = "1px solid var(--background-modifier-accent)";
+		button.style.background = "var(--background-secondary)";
+		button.style.color = "var(--text-normal)";
+		button.style.cursor = "pointer";
+		button.onclick = onClick;
+		return button;
+	}
+
+	// Editor for user-defined replacement rules
+	createCustomRulesEditor() {
+		const container = document.createElement("div");
+
+		const help = document.createElement("div");
+		help.textContent =
+			"Host pattern is a regex matched right after https://, e.g. (?:www\\.)?example\\.com. " +
+			"Use capture groups and $1, $2... in the replacement. Custom rules run before the built-in fixers.";
+		help.style.fontSize = "12px";
+		help.style.color = "var(--text-muted)";
+		help.style.marginBottom = "8px";
+		container.appendChild(help);
+
+		const list = document.createElement("div");
+		container.appendChild(list);
+
+		// Each card keeps the last valid version of its rule (null until first valid save)
+		const cards = this.customRules.map((rule) => ({
+			rule,
+			draft: { ...rule },
+		}));
+
+		const persist = () => {
+			const previousKeys = this.customRules.map((r) => r.key);
+			this.customRules = cards.map((c) => c.rule).filter(Boolean);
+			const currentKeys = this.customRules.map((r) => r.key);
+			// Drop toggles of rules that were deleted or renamed
+			previousKeys
+				.filter((key) => !currentKeys.includes(key))
+				.forEach((key) => delete this.platformToggles[key]);
+			this.compileRegexes();
+			this.saveSettings();
+		};
+
+		const createField = (card, label, field, placeholder) => {
+			const wrapper = document.createElement("label");
+			wrapper.style.display = "block";
+			wrapper.style.marginBottom = "6px";
+
+			const labelText = document.createElement("div");
+			labelText.textContent = label;
+			labelText.style.fontSize = "12px";
+			labelText.style.color = "var(--text-muted)";
+			wrapper.appendChild(labelText);
+
+			const input = document.createElement("input");
+			input.type = "text";
+			input.placeholder = placeholder;
+			const value = card.draft[field];
+			input.value = Array.isArray(value) ? value.join(", ") : value ?? "";
+			input.style.width = "100%";
+			input.style.boxSizing = "border-box";
+			input.style.padding = "4px 8px";
+			input.style.borderRadius = "4px";
+			input.style.border = "1px solid var(--background-modifier-accent)";
+			input.style.background = "var(--background-secondary)";
+			input.style.color = "var(--text-normal)";
+			input.oninput = () => {
+				card.draft[field] =
+					field === "originals"
+						? input.value
+								.split(",")
+								.map((d) => d.trim())
+								.filter(Boolean)
+						: input.value.trim();
+			};
+			input.onchange = () => card.commit();
+			wrapper.appendChild(input);
+			return wrapper;
+		};
+
+		const render = () => {
+			list.replaceChildren();
+			cards.forEach((card, index) => {
+				const box = document.createElement("div");
+				box.style.padding = "8px";
+				box.style.marginBottom = "8px";
+				box.style.borderRadius = "4px";
+				box.style.border = "1px solid var(--background-modifier-accent)";
+
+				const errorText = document.createElement("div");
+				errorText.style.fontSize = "12px";
+				errorText.style.color = "var(--text-danger)";
+				errorText.style.whiteSpace = "pre-line";
+
+				card.commit = () => {
+					const others = cards
+						.filter((c) => c !== card)
+						.map((c) => c.rule)
+						.filter(Boolean);
+					const errors = this.validateCustomRule(card.draft, others);
+					errorText.textContent = errors.join("\n");
+					if (errors.length > 0) return;
+
+					const renamedFrom = card.rule?.key;
+					card.rule = { ...card.draft };
+					if (renamedFrom && renamedFrom !== card.rule.key) {
+						this.platformToggles[card.rule.key] =
+							this.platformToggles[renamedFrom] ?? true;
+					}
+					persist();
+					title.textContent = card.rule.name;
+					enabled.disabled = false;
+				};
+
+				const toolbar = document.createElement("div");
+				toolbar.style.display = "flex";
+				toolbar.style.alignItems = "center";
+				toolbar.style.gap = "6px";
+				toolbar.style.marginBottom = "6px";
+
+				const enabled = document.createElement("input");
+				enabled.type = "checkbox";
+				enabled.title = "Enabled";
+				enabled.checked = card.rule
+					? this.platformToggles[card.rule.key] !== false
+					: true;
+				enabled.style.width = "20px";
+				enabled.style.height = "20px";
+				enabled.style.cursor = "pointer";
+				enabled.disabled = !card.rule;
+				enabled.onchange = () => {
+					this.platformToggles[card.rule.key] = enabled.checked;
+					this.saveSettings();
+				};
+
+				const title = document.createElement("div");
+				title.textContent = card.draft.name || "New rule";
+				title.style.fontWeight = "500";
+				title.style.flex = "1";
+
+				const move = (offset) => {
+					const target = index + offset;
+					if (target < 0 || target >= cards.length) return;
+					[cards[index], cards[target]] = [cards[target], cards[index]];
+					persist();
+					render();
+				};
+
+				toolbar.appendChild(enabled);
+				toolbar.appendChild(title);
+				toolbar.appendChild(this.createButton("↑", () => move(-1)));
+				toolbar.appendChild(this.createButton("↓", () => move(1)));
+				toolbar.appendChild(
+					this.createButton("Delete", () => {
+						cards.splice(index, 1);
+						persist();
+						render();
+					})
+				);
+				box.appendChild(toolbar);
+
+				box.appendChild(createField(card, "Display name", "name", "My Site"));
+				box.appendChild(createField(card, "Key", "key", "mysite"));
+				box.appendChild(
+					createField(
+						card,
+						"Host pattern",
+						"pattern",
+						"(?:www\\.)?example\\.com"
+					)
+				);
+				box.appendChild(
+					createField(
+						card,
+						"Replacement",
+						"replacement",
+						"https://fixexample.com"
+					)
+				);
+				box.appendChild(
+					createField(
+						card,
+						"Original domains (for revert detection, comma separated)",
+						"originals",
+						"example.com"
+					)
+				);
+				box.appendChild(
+					createField(card, "Fixed domain", "fixed", "fixexample.com")
+				);
+				box.appendChild(errorText);
+				list.appendChild(box);
+			});
+		};
+
+		container.appendChild(
+			this.createButton("Add Rule", () => {
+				let n = cards.length + 1;
+				while (cards.some((c) => c.draft.key === `custom${n}`)) n++;
+				cards.push({
+					rule: null,
+					draft: {
+						key: `custom${n}`,
+						name: "",
+						pattern: "",
+						replacement: "https://",
+						originals: [],
+						fixed: "",
+					},
+				});
+				render();
+			})
+		);
+
+		render();
+		return container;
+	}
 };
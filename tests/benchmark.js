@@ -0,0 +1,147 @@
+/**
+ * EmbedFixer Pipeline Benchmark
+ *
+ * Run with: bun tests/benchmark.js
+ *
+ * Compares the pipeline before host dispatch with transformContent (URLs found
+ * once, each dispatched to the transformers registered for its host) on long
+ * messages. The old pipeline runs the plugin as of d31168e (read from git, so
+ * run it inside a clone), where every step scans each whole text segment.
+ */
+
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const mockBdApi = {
+	Data: {
+		load: () => undefined,
+		save: () => {},
+	},
+	UI: {
+		showToast: () => {},
+	},
+	Webpack: {
+		getByKeys: () => null,
+	},
+	Net: {
+		fetch: async () => ({ ok: false, status: 404 }),
+	},
+};
+
+const loadPlugin = (pluginCode) => {
+	const EmbedFixer = eval(`
+  (function(module, BdApi) {
+    ${pluginCode}
+    return module.exports;
+  })
+`)({ exports: {} }, mockBdApi);
+	const plugin = new EmbedFixer();
+	plugin.loadSettings();
+	plugin.compileRegexes();
+	return plugin;
+};
+
+const plugin = loadPlugin(
+	fs.readFileSync(path.join(__dirname, "../EmbedFixer.plugin.js"), "utf8")
+);
+const baseline = loadPlugin(
+	execFileSync("git", ["show", "d31168e:EmbedFixer.plugin.js"], {
+		cwd: __dirname,
+		encoding: "utf8",
+		maxBuffer: 16 * 1024 * 1024,
+	})
+);
+
+// processContent from start() in d31168e (a closure there, so copied here) running
+// the baseline's own steps
+function oldPipeline(text) {
+	baseline.codeBlockRegex.lastIndex = 0;
+	return text
+		.split(baseline.codeBlockRegex)
+		.map((part) => {
+			if (part.startsWith("`")) return part;
+			let processed = part;
+			if (baseline.platformToggles.trackingParams) {
+				processed = baseline.stripTrackingParams(processed);
+			}
+			if (baseline.platformToggles.ampLinks) {
+				processed = baseline.removeAmpLinks(processed);
+			}
+			if (baseline.platformToggles.amazonClean) {
+				processed = baseline.cleanAmazonLinks(processed);
+			}
+			processed = baseline.applyReplacements(processed);
+			if (baseline.platformToggles.songLink) {
+				processed = baseline.processSongLinks(processed);
+			}
+			if (baseline.platformToggles.paywall) {
+				processed = baseline.processPaywalls(processed);
+			}
+			if (baseline.platformToggles.youtubeShorts) {
+				processed = baseline.processYouTubeShorts(processed);
+			}
+			return processed;
+		})
+		.join("");
+}
+
+function newPipeline(content) {
+	return plugin.transformContent(content).text;
+}
+
+const words =
+	"so anyway I was reading about this yesterday and honestly it makes a lot of sense, ".repeat(
+		60
+	);
+const links = [
+	"https://x.com/user/status/123?s=20",
+	"https://www.reddit.com/r/test/comments/abc",
+	"https://example.com/page?utm_source=feed&id=4",
+	"https://www.nytimes.com/2024/01/01/story.html",
+	"https://open.spotify.com/track/abc123",
+	"https://www.amazon.com/Product/dp/B08N5WRWNW/ref=sr_1_1?tag=x",
+	"https://youtube.com/shorts/dQw4w9WgXcQ",
+	"https://github.com/k33bs/EmbedFixer/issues/1",
+];
+const messages = {
+	"long text, no links": words,
+	"long text, 3 links": `${words}${links[0]} ${words}${links[3]}. ${words}(${links[6]})`,
+	"long text, 40 links": Array.from(
+		{ length: 40 },
+		(_, i) => `${words.slice(0, 120)} ${links[i % links.length]}`
+	).join("\n"),
+	"code heavy, 10 links": Array.from(
+		{ length: 10 },
+		(_, i) =>
+			"```js\nconst url = 'https://x.com/a/status/1';\n```\n" +
+			`${links[i % links.length]} ${words.slice(0, 200)}`
+	).join("\n"),
+};
+
+function measure(fn, content) {
+	// Warm up, then time enough runs for a stable number
+	for (let i = 0; i < 20; i++) fn(content);
+	let runs = 0;
+	const start = performance.now();
+	while (performance.now() - start < 500) {
+		fn(content);
+		runs++;
+	}
+	return (performance.now() - start) / runs;
+}
+
+for (const [name, content] of Object.entries(messages)) {
+	if (oldPipeline(content) !== newPipeline(content)) {
+		console.warn(`[${name}] note: pipelines produce different output`);
+	}
+	const oldMs = measure(oldPipeline, content);
+	const newMs = measure(newPipeline, content);
+	console.log(
+		`${name} (${content.length} chars): old ${oldMs.toFixed(3)} ms, ` +
+			`new ${newMs.toFixed(3)} ms, ${(oldMs / newMs).toFixed(1)}x`
+	);
+}